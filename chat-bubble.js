@@ -3,28 +3,205 @@
  * 
  * This widget creates an embeddable chat bubble that sends messages to a webhook
  * and displays responses. It generates and maintains a session ID across interactions.
+ * 
+ * Install it with new ChatBubbleWidget({ ... }), or without code: options are read from
+ * window.ChatBubbleConfig and from data-* attributes of a script tag that has data-webhook-url
+ * (or data-auto-init), e.g. data-position="left" data-theme='{"primaryColor":"#000"}'. With the async loader snippet, calls such as
+ * ChatBubble('init', { ... }) or ChatBubble('open') are queued until the file has loaded:
+ * 
+ *   <script>
+ *     window.ChatBubble = window.ChatBubble || function () { (ChatBubble.q = ChatBubble.q || []).push(arguments); };
+ *   </script>
+ *   <script async src="chat-bubble.js"></script>
+ * 
+ * The file is wrapped in a function so that including it twice does not declare the classes
+ * again (a SyntaxError before any code runs); the second copy leaves the first one in charge.
  */
 
+(function () {
+if (typeof window !== 'undefined' && window.ChatBubbleWidget) {
+    return;
+}
+
 class ChatBubbleWidget {
     constructor(options = {}) {
         // Configuration options with defaults
         this.options = {
-            webhookUrl: 'https://n8napp.tapblink.shop/webhook/72398806-8e59-4727-ba46-826d411920ab_website_chat',
-            position: 'right', // 'right' or 'left'
-            bubbleColor: '#4a86e8',
-            textColor: '#ffffff',
-            assistantName: 'Vivian', // Name of the assistant
-            assistantTitle: 'Watch Advisor', // Title/role of the assistant
-            assistantAvatarUrl: 'https://i.pravatar.cc/150?img=45', // Default avatar URL (woman)
-            welcomeMessage: 'Estou a sua disposição!', // Welcome message
+            ...this.getDefaultOptions(),
             ...options
         };
         
+        // Request timeline of the diagnostics panel (filled from the start, storage warnings included)
+        this.diagnostics = [];
+        
+        // The id ends up in cookie names and storage keys, where spaces, ';', '=' or '.' would break
+        // the cookie or let clearStorage() of 'a' match the keys of 'a.b'
+        if (this.options.id && !/^[\w-]+$/.test(String(this.options.id))) {
+            const safeId = String(this.options.id).replace(/[^\w-]/g, '_') || null;
+            this.log('warn', `The id "${this.options.id}" may only contain letters, digits, '_' and '-', using ${safeId ? `"${safeId}"` : 'the default namespace'} instead`);
+            this.options.id = safeId;
+        }
+        
+        // Each instance needs its own namespace, or they share the session and stored data
+        const sameNamespace = Array.from(ChatBubbleWidget.instances).some(instance => instance.options.id === this.options.id);
+        if (sameNamespace) {
+            this.log('warn', `Another chat widget already uses the ${this.options.id ? `id "${this.options.id}"` : 'default namespace'}, give each instance its own id option`);
+        }
+        
+        // Whether cookies and localStorage may be used yet
+        this.consentGranted = this.loadConsent();
+        
         // Generate or retrieve session ID
         this.sessionId = this.getSessionId();
         
+        // Conversation transcript ({ text, sender, timestamp } entries)
+        this.history = this.loadHistory();
+        
+        // Event handlers registered through on()
+        this.listeners = {};
+        
+        // Visitor details from the pre-chat form or identify(), sent with every message
+        this.visitor = this.loadVisitor();
+        
+        // Availability shown in the header: 'online', 'away' or 'offline'
+        this.status = this.getScheduledStatus();
+        this.statusMessage = null;
+        
+        // Files waiting in the composer to be sent with the next message, and how many
+        // addAttachments() calls are still preparing (downscaling) files
+        this.pendingAttachments = [];
+        this.preparingAttachments = 0;
+        
+        // Whether a reply is on its way (the send button waits for it) and the
+        // position of a message recalled with the Up arrow
+        this.replyPending = false;
+        this.recallIndex = null;
+        
+        // Send times within the rate limit interval and the end of the current cooldown
+        this.sentTimes = [];
+        this.cooldownUntil = 0;
+        
+        // Bot messages that arrived while the window was closed
+        this.unreadCount = 0;
+        this.handleVisibilityChange = () => {
+            if (!document.hidden && this.isOpen()) {
+                this.stopTitleBlink();
+            }
+        };
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        
+        // Messages typed while offline, sent when connectivity returns
+        this.outbox = [];
+        this.handleOnline = () => this.flushOutbox();
+        
+        // Error notice shown below each failed user bubble, removed when the message is sent again
+        this.sendErrorNotices = new WeakMap();
+        window.addEventListener('online', this.handleOnline);
+        
+        // Request signing uses the Web Crypto API, which browsers only offer on secure (https) origins
+        this.canSign = !!(window.crypto && window.crypto.subtle);
+        if (this.options.signingSecret && !this.canSign) {
+            this.log('error', 'signingSecret needs a secure (https) origin, crypto.subtle is not available here: requests are sent unsigned');
+        }
+        
+        // Transport that delivers messages and receives pushed ones
+        this.transport = this.createTransport();
+        
         // Initialize the widget
         this.init();
+        ChatBubbleWidget.instances.add(this);
+        this.transport.connect();
+        
+        // Count the visit and arm the proactive triggers
+        this.visitCount = this.trackVisit();
+        this.startTriggers();
+        
+        // Follow the business hours and the live status
+        this.startStatusTimer();
+        
+        // Sync the stored conversation with the webhook if enabled
+        if (this.options.fetchHistory) {
+            this.fetchRemoteHistory();
+        }
+    }
+    
+    /**
+     * Default value of every option
+     * @returns {Object}
+     */
+    getDefaultOptions() {
+        return {
+            webhookUrl: 'https://n8napp.tapblink.shop/webhook/72398806-8e59-4727-ba46-826d411920ab_website_chat',
+            position: 'right', // 'right' or 'left'
+            theme: {}, // CSS custom property values, see ChatBubbleWidget.themeVariables; { mode: 'light' | 'dark' | 'auto', dark: { ... } }
+            bubbleColor: null, // Deprecated, use theme.primaryColor
+            textColor: null, // Deprecated, use theme.onPrimaryColor
+            assistantName: 'Vivian', // Name of the assistant
+            assistantTitle: 'Watch Advisor', // Title/role of the assistant
+            assistantAvatarUrl: 'https://i.pravatar.cc/150?img=45', // Default avatar URL (woman)
+            welcomeMessage: null, // Welcome message (defaults to the locale's welcome text)
+            locale: 'auto', // 'pt', 'en', 'es' (or any tag such as 'pt-BR'); 'auto' detects it from <html lang> or the browser
+            strings: {}, // Per-string overrides of the locale bundle, e.g. { inputPlaceholder: '...' }
+            direction: 'auto', // 'ltr', 'rtl' or 'auto' (from the locale)
+            persistHistory: true, // Keep the conversation across page loads
+            historyMaxMessages: 100, // Maximum number of stored messages
+            historyTtl: 7 * 24 * 60 * 60 * 1000, // Stored history expires after 7 days (ms)
+            fetchHistory: false, // Ask the webhook for the history on startup
+            streaming: false, // Render bot replies incrementally as they arrive
+            streamFormat: 'auto', // 'auto' (from Content-Type), 'sse' or 'ndjson'
+            renderMarkdown: true, // Render Markdown in bot messages (user messages stay plain text)
+            beforeSend: null, // (payload) => payload | false, may be async; rewrite or cancel outgoing messages
+            afterReceive: null, // (data, { message, payload }) => data | string, may be async; rewrite replies. Streamed replies are passed as their complete text with { streamed: true } once the stream ends, a returned string replaces it
+            debug: false, // true or a level ('silent', 'error', 'warn', 'info', 'debug') for console output; only errors by default
+            logger: null, // Object with error/warn/info/debug methods receiving the log instead of the console
+            diagnostics: false, // Header button opening a panel with the request timeline, raw payloads and the session ID
+            responseAdapter: 'default', // Where the reply is found: a preset ('default', 'n8n', 'dialogflow', 'openai', 'botpress'), a mapping of paths or (data) => reply
+            requestTimeout: 30000, // Abort a webhook request without response, or whose reply stalls, after this many ms (0 = never)
+            maxRetries: 2, // Retries for network errors, timeouts and 5xx responses
+            retryDelay: 1000, // Delay before the first retry in ms, doubled for each further retry
+            attachments: false, // Show the attachment button and accept dropped/pasted files
+            allowedFileTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'application/pdf'], // MIME types, 'image/*' wildcards allowed
+            maxFileSize: 10 * 1024 * 1024, // Maximum size per file in bytes (checked after downscaling)
+            maxAttachments: 3, // Maximum number of files per message
+            imageMaxDimension: 1600, // Larger images are downscaled to this width/height in px (0 = never)
+            imageQuality: 0.85, // JPEG/WebP quality used when downscaling
+            uploadFormat: 'multipart', // 'multipart' (FormData with "files") or 'base64' (JSON "attachments" array)
+            transport: 'http', // 'http', 'longpolling', 'websocket', a name registered in ChatBubbleWidget.transports or a transport class
+            socketUrl: null, // WebSocket endpoint (defaults to webhookUrl with ws:// or wss://)
+            pollUrl: null, // Long-polling endpoint for pushed messages, required by the longpolling transport
+            pollTimeout: 25000, // How long the server may hold a long-polling request in ms
+            reconnectDelay: 1000, // Delay before the first reconnection attempt in ms, doubled for each further attempt
+            reconnectMaxDelay: 30000, // Upper bound of the reconnection delay in ms
+            preChatForm: false, // true for the default lead form, or { fields, requireOneOf, consent: { required, label, privacyUrl } | false }
+            requireConsent: false, // Keep the session in memory only (no cookies or localStorage) until grantConsent()
+            consentCheck: null, // () => boolean, asks the cookie banner at startup whether storage is already allowed
+            cookieName: null, // Name of the session cookie (defaults to the storage key of the session ID)
+            cookieDomain: null, // e.g. '.example.com' to share the session across subdomains
+            cookieLifetime: 365, // Session cookie lifetime in days (0 = until the browser is closed)
+            redactUrl: false, // true drops the query string and hash from pageUrl; an array drops only the listed query parameters
+            sendUserAgent: true, // Include navigator.userAgent in the payload
+            headers: {}, // Extra headers sent with every webhook request
+            getToken: null, // ({ sessionId }) => token, may be async; sent as "Authorization: Bearer <token>" and fetched again after a 401
+            signingSecret: null, // HMAC-SHA256 key for X-Chat-Timestamp, X-Chat-Nonce and X-Chat-Signature of "timestamp.nonce.body" headers. A string is readable by anyone who views the page, so prefer ({ sessionId }) => key (may be async) returning a per-session key from your backend, fetched again after a 401. Files are then sent as base64 JSON so the whole body is signed
+            rateLimit: null, // { maxMessages: 5, interval: 10000, cooldown: 30000 } limits how fast the visitor can send (ms)
+            triggers: [], // Proactive teasers, e.g. { type: 'time', seconds: 30, message: '...' }; see startTriggers()
+            teaserMaxPerSession: 1, // Teasers shown per browser session at most
+            teaserInterval: 24 * 60 * 60 * 1000, // Minimum time between teasers across visits in ms
+            notificationSound: false, // Sound for messages arriving while the chat is closed or the tab hidden: true for a beep or an audio URL
+            titleBlink: false, // Alternate the page title with a new-message notice while the chat is closed or the tab hidden
+            businessHours: null, // { timezone: 'America/Sao_Paulo', schedule: { mon: '09:00-18:00', sat: ['10:00-12:00'], fri: '22:00-02:00' }, holidays: ['2026-12-25', '01-01'] }
+            statusCheck: false, // Ask the webhook for the live status ({ action: 'status' } -> { status: 'online' | 'away' | 'offline', message })
+            statusInterval: 5 * 60 * 1000, // How often the status is checked again in ms
+            offlineForm: true, // While offline, replace the composer with a contact form sent to the webhook
+            id: null, // Instance name of letters, digits, '_' and '-', e.g. 'repair': namespaces the cookie and stored data so several widgets can share a page
+            container: null, // Element or selector to render the chat inline into, without the floating bubble
+            messageActions: true, // Copy and thumbs up/down buttons on bot messages
+            feedbackUrl: null, // Where ratings are posted (may be the webhookUrl, they carry action: 'feedback'); without it they are only emitted as 'feedback' events
+            feedbackComment: true, // Ask for an optional comment after a thumbs down
+            transcript: true, // Header menu to download, print or email the conversation
+            maxLength: 2000, // Maximum characters of a typed message, with a counter near the limit (0 = no limit)
+            fullScreenBreakpoint: 480 // The floating window fills the screen on viewports up to this width in px (0 = never)
+        };
     }
     
     /**
@@ -32,14 +209,20 @@ class ChatBubbleWidget {
      * Using cookies instead of localStorage for better persistence
      */
     getSessionId() {
+        // Without consent the session only lives in memory
+        if (!this.consentGranted) {
+            return this.createSessionId();
+        }
+        
         // Try to get session ID from cookies
         const cookies = document.cookie.split(';');
+        const cookiePrefix = `${this.getCookieName()}=`;
         let storedSessionId = null;
         
         for (let i = 0; i < cookies.length; i++) {
             const cookie = cookies[i].trim();
-            if (cookie.startsWith('chat_bubble_session_id=')) {
-                storedSessionId = cookie.substring('chat_bubble_session_id='.length);
+            if (cookie.startsWith(cookiePrefix)) {
+                storedSessionId = cookie.substring(cookiePrefix.length);
                 break;
             }
         }
@@ -50,570 +233,7130 @@ class ChatBubbleWidget {
         }
         
         // Check localStorage as fallback (for backward compatibility)
-        const localStorageSessionId = localStorage.getItem('chat_bubble_session_id');
+        const localStorageSessionId = localStorage.getItem(this.storageKey('session_id'));
         if (localStorageSessionId) {
             // If found in localStorage, also set it as a cookie for future use
             this.setSessionCookie(localStorageSessionId);
             return localStorageSessionId;
         }
         
+        return this.createSessionId();
+    }
+    
+    /**
+     * Generate and store a new session ID
+     * @returns {string} The new session ID
+     */
+    createSessionId() {
         // Generate new session ID (timestamp + random string) - same format as before
         const newSessionId = Date.now().toString(36) + Math.random().toString(36).substring(2);
         
-        // Store in both cookie and localStorage for backward compatibility
-        this.setSessionCookie(newSessionId);
-        localStorage.setItem('chat_bubble_session_id', newSessionId);
+        // Store in both cookie and localStorage for backward compatibility (once storage is allowed)
+        if (this.consentGranted) {
+            this.storeSessionId(newSessionId);
+        }
         
         return newSessionId;
     }
     
     /**
-     * Helper method to set the session ID cookie with a long expiration
+     * Store the session ID in the cookie and in localStorage
+     * @param {string} sessionId - The session ID to store
+     */
+    storeSessionId(sessionId) {
+        this.setSessionCookie(sessionId);
+        try {
+            localStorage.setItem(this.storageKey('session_id'), sessionId);
+        } catch (error) {
+            this.log('warn', 'Could not store the session ID:', error);
+        }
+    }
+    
+    /**
+     * Key under which a value is stored, namespaced by the id option
+     * e.g. 'chat_bubble_visitor', or 'chat_bubble.repair.visitor' for id 'repair'
+     * @param {string} name - Name of the value
+     * @returns {string}
+     */
+    storageKey(name) {
+        return this.options.id ? `chat_bubble.${this.options.id}.${name}` : `chat_bubble_${name}`;
+    }
+    
+    /**
+     * Name of the session cookie
+     * @returns {string}
+     */
+    getCookieName() {
+        return this.options.cookieName || this.storageKey('session_id');
+    }
+    
+    /**
+     * Helper method to set the session ID cookie with the configured name, domain and lifetime
      * @param {string} sessionId - The session ID to store
      */
     setSessionCookie(sessionId) {
-        // Set cookie to expire in 1 year
-        const expirationDate = new Date();
-        expirationDate.setFullYear(expirationDate.getFullYear() + 1);
-        
         // Set the cookie with path=/ to make it available across the site
-        document.cookie = `chat_bubble_session_id=${sessionId}; expires=${expirationDate.toUTCString()}; path=/; SameSite=Strict`;
+        let cookie = `${this.getCookieName()}=${sessionId}; path=/; SameSite=Strict`;
+        
+        // Without a lifetime it is a session cookie, removed when the browser is closed
+        if (this.options.cookieLifetime) {
+            const expirationDate = new Date(Date.now() + this.options.cookieLifetime * 24 * 60 * 60 * 1000);
+            cookie += `; expires=${expirationDate.toUTCString()}`;
+        }
+        if (this.options.cookieDomain) {
+            cookie += `; domain=${this.options.cookieDomain}`;
+        }
+        document.cookie = cookie;
+    }
+    
+    /**
+     * Decide at startup whether storage is allowed: always without requireConsent, otherwise
+     * when the cookie banner says so (consentCheck) or consent was granted on an earlier visit
+     * @returns {boolean}
+     */
+    loadConsent() {
+        if (!this.options.requireConsent) {
+            return true;
+        }
+        
+        if (typeof this.options.consentCheck === 'function') {
+            try {
+                return !!this.options.consentCheck();
+            } catch (error) {
+                this.log('error', 'Error in consentCheck:', error);
+                return false;
+            }
+        }
+        
+        try {
+            return localStorage.getItem(this.storageKey('consent')) === 'granted';
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * Allow cookies and localStorage, e.g. from a cookie banner's accept callback
+     * The in-memory session, transcript and visitor details are stored from now on
+     * @returns {ChatBubbleWidget} The widget, for chaining
+     */
+    grantConsent() {
+        if (this.consentGranted) {
+            return this;
+        }
+        
+        this.consentGranted = true;
+        try {
+            localStorage.setItem(this.storageKey('consent'), 'granted');
+        } catch (error) {
+            this.log('warn', 'Could not store the consent:', error);
+        }
+        
+        this.storeSessionId(this.sessionId);
+        this.saveHistory();
+        if (Object.keys(this.visitor).length > 0) {
+            this.saveVisitor();
+        }
+        
+        this.emit('consentChange', { granted: true });
+        return this;
+    }
+    
+    /**
+     * Withdraw the consent: the stored data is removed and the conversation
+     * continues in memory only
+     * @returns {ChatBubbleWidget} The widget, for chaining
+     */
+    revokeConsent() {
+        this.consentGranted = false;
+        this.clearStorage();
+        this.emit('consentChange', { granted: false });
+        return this;
+    }
+    
+    /**
+     * Remove the session cookie and everything this instance put in localStorage and sessionStorage
+     */
+    clearStorage() {
+        // Expire the cookie with the same path and domain it was set with
+        let cookie = `${this.getCookieName()}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/; SameSite=Strict`;
+        if (this.options.cookieDomain) {
+            cookie += `; domain=${this.options.cookieDomain}`;
+        }
+        document.cookie = cookie;
+        
+        try {
+            [localStorage, sessionStorage].forEach(storage => {
+                Object.keys(storage)
+                    .filter(key => key.startsWith(this.storageKey('')))
+                    .forEach(key => storage.removeItem(key));
+            });
+        } catch (error) {
+            this.log('warn', 'Could not clear chat storage:', error);
+        }
+    }
+    
+    /**
+     * Erase the visitor's data: asks the webhook to delete the session, wipes the cookie and
+     * localStorage and starts over with a new session (in memory until consent is given again)
+     * @returns {Promise<void>}
+     */
+    async forgetMe() {
+        const sessionId = this.sessionId;
+        
+        // Tell the webhook first so it still knows which session and visitor to delete
+        try {
+            const body = {
+                action: 'forget',
+                sessionId: sessionId,
+                source: 'website'
+            };
+            if (Object.keys(this.visitor).length > 0) {
+                body.visitor = this.visitor;
+            }
+            
+            const response = await this.authorizedFetch(this.options.webhookUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+        } catch (error) {
+            this.log('warn', 'Could not ask the webhook to forget the session:', error);
+        }
+        
+        this.clearStorage();
+        this.consentGranted = !this.options.requireConsent;
+        this.visitor = {};
+        this.outbox = [];
+        this.clearConversation();
+        
+        // Ask for the visitor's details again
+        if (this.getLeadFormConfig() && !this.isLeadComplete()) {
+            this.showLeadForm();
+        }
+        
+        this.emit('forget', { sessionId: sessionId });
+    }
+    
+    /**
+     * Resolve the locale, its strings and the text direction from the options
+     */
+    applyLocale() {
+        let locale = this.options.locale;
+        if (!locale || locale === 'auto') {
+            // Prefer the page language, then the browser language
+            locale = document.documentElement.lang || navigator.language || 'pt';
+        }
+        this.locale = locale;
+        
+        // Merge English as the fallback, then the language bundle, the exact tag and the overrides
+        const language = locale.toLowerCase().split(/[-_]/)[0];
+        const locales = ChatBubbleWidget.locales;
+        const exactBundle = Object.keys(locales).find(key => key.toLowerCase() === locale.toLowerCase());
+        this.strings = {
+            ...locales.en,
+            ...locales[language],
+            ...(exactBundle ? locales[exactBundle] : {}),
+            ...this.options.strings
+        };
+        
+        this.direction = this.options.direction === 'ltr' || this.options.direction === 'rtl'
+            ? this.options.direction
+            : (ChatBubbleWidget.rtlLanguages.includes(language) ? 'rtl' : 'ltr');
+    }
+    
+    /**
+     * Get a localized string, replacing {placeholders} with the given values
+     * @param {string} key - String key from the locale bundle
+     * @param {Object} [params] - Placeholder values
+     * @returns {string} Localized text
+     */
+    t(key, params = {}) {
+        const template = this.strings[key] !== undefined ? this.strings[key] : key;
+        return String(template).replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
     }
     
     /**
      * Initialize the widget by creating necessary DOM elements
      */
     init() {
+        // Resolve the locale and its strings
+        this.applyLocale();
+        
+        // Inline inside a container of the page, or floating over it
+        const mountTarget = this.getMountTarget();
+        this.inline = mountTarget !== document.body;
+        
+        // Render inside a shadow root so the host page's CSS and ours don't leak into each other
+        this.host = document.createElement('div');
+        this.host.className = 'chat-bubble-host';
+        this.host.dataset.themeMode = this.options.theme.mode || 'light';
+        this.host.dataset.layout = this.inline ? 'inline' : 'floating';
+        if (this.options.id) {
+            this.host.dataset.instance = this.options.id;
+        }
+        this.root = this.host.attachShadow({ mode: 'open' });
+        
+        // Base stylesheet, then the theme variables from the options
+        const baseStyle = document.createElement('style');
+        baseStyle.textContent = ChatBubbleWidget.styles;
+        this.root.appendChild(baseStyle);
+        
+        this.themeStyle = document.createElement('style');
+        this.themeStyle.textContent = this.getThemeCss();
+        this.root.appendChild(this.themeStyle);
+        
+        // Full-screen floating window on small viewports
+        const breakpoint = parseInt(this.options.fullScreenBreakpoint, 10);
+        if (!this.inline && breakpoint > 0) {
+            const layoutStyle = document.createElement('style');
+            layoutStyle.textContent = `@media (max-width: ${breakpoint}px) { ${ChatBubbleWidget.fullScreenStyles} }`;
+            this.root.appendChild(layoutStyle);
+        }
+        
         // Create the widget container
         this.container = document.createElement('div');
-        this.container.className = 'chat-bubble-widget';
-        this.container.style.position = 'fixed';
-        this.container.style.bottom = '20px';
-        
-        // Fixed positioning for the container
-        this.container.style[this.options.position] = '20px';
+        this.container.className = this.inline
+            ? 'chat-bubble-widget chat-inline'
+            : `chat-bubble-widget chat-position-${this.options.position === 'left' ? 'left' : 'right'}`;
         
-        this.container.style.zIndex = '9999';
+        // Text direction; the stylesheet uses logical properties so the layout mirrors in RTL
+        this.container.dir = this.direction;
+        this.container.lang = this.locale;
         
         // Create the chat bubble button
-        this.bubbleButton = document.createElement('div');
+        this.bubbleButton = document.createElement('button');
+        this.bubbleButton.type = 'button';
         this.bubbleButton.className = 'chat-bubble-button';
-        this.bubbleButton.style.width = '65px';
-        this.bubbleButton.style.height = '65px';
-        this.bubbleButton.style.borderRadius = '50%';
-        this.bubbleButton.style.backgroundColor = this.options.bubbleColor;
-        this.bubbleButton.style.cursor = 'pointer';
-        this.bubbleButton.style.display = 'flex';
-        this.bubbleButton.style.justifyContent = 'center';
-        this.bubbleButton.style.alignItems = 'center';
-        this.bubbleButton.style.boxShadow = '0 4px 8px rgba(0, 0, 0, 0.2)';
+        this.bubbleButton.setAttribute('aria-controls', 'chat-window');
+        this.bubbleButton.setAttribute('aria-expanded', 'false');
         
         // Add chat icon to button
         this.bubbleButton.innerHTML = `
-            <svg width="30" height="30" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <svg width="30" height="30" aria-hidden="true" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                 <path d="M20 2H4C2.9 2 2 2.9 2 4V22L6 18H20C21.1 18 22 17.1 22 16V4C22 2.9 21.1 2 20 2Z" 
-                      fill="${this.options.textColor}"/>
+                      fill="currentColor"/>
             </svg>
         `;
         
-        // Create the chat window (initially hidden)
+        // Unread count shown on the launcher while the window is closed
+        this.unreadBadge = document.createElement('span');
+        this.unreadBadge.className = 'chat-unread-badge';
+        this.unreadBadge.setAttribute('aria-hidden', 'true');
+        this.bubbleButton.appendChild(this.unreadBadge);
+        this.teaser = null;
+        
+        // Create the chat window (initially hidden, always shown inline)
         this.chatWindow = document.createElement('div');
         this.chatWindow.className = 'chat-window';
-        this.chatWindow.style.position = 'absolute';
-        this.chatWindow.style.bottom = '70px';
-        this.chatWindow.style[this.options.position] = '0';
-        
-        // Basic responsive dimensions for the chat window
-        // Use a function to set appropriate width based on screen size
-        const setChatWindowSize = () => {
-            // For very narrow screens, make the chat window smaller
-            // but ensure it's never less than 280px (unless screen is smaller)
-            const screenWidth = window.innerWidth;
-            if (screenWidth < 350) {
-                // On very narrow screens, make it fit with small margins
-                const newWidth = Math.max(280, screenWidth - 20);
-                this.chatWindow.style.width = `${newWidth}px`;
-            } else {
-                // Default size for normal screens
-                this.chatWindow.style.width = '350px';
-            }
-            this.chatWindow.style.height = '500px';
-        };
-        
-        // Set initial size
-        setChatWindowSize();
-        
-        // Update on window resize
-        window.addEventListener('resize', setChatWindowSize);
-        
-        this.chatWindow.style.backgroundColor = '#ffffff';
-        this.chatWindow.style.borderRadius = '16px';
-        this.chatWindow.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.15)';
-        this.chatWindow.style.display = 'none';
-        this.chatWindow.style.flexDirection = 'column';
-        this.chatWindow.style.overflow = 'hidden';
-        this.chatWindow.style.border = '1px solid rgba(0, 0, 0, 0.08)';
+        this.chatWindow.id = 'chat-window';
+        this.chatWindow.hidden = !this.inline;
+        this.chatWindow.setAttribute('role', this.inline ? 'region' : 'dialog');
+        this.chatWindow.setAttribute('aria-labelledby', 'chat-header-title');
+        this.updateUnreadBadge();
         
         // Create chat header
         const chatHeader = document.createElement('div');
         chatHeader.className = 'chat-header';
-        chatHeader.style.padding = '15px';
-        chatHeader.style.backgroundColor = this.options.bubbleColor;
-        chatHeader.style.color = this.options.textColor;
-        chatHeader.style.display = 'flex';
-        chatHeader.style.justifyContent = 'space-between';
-        chatHeader.style.alignItems = 'center';
         
         // Create header with assistant info
         const headerInfo = document.createElement('div');
-        headerInfo.style.display = 'flex';
-        headerInfo.style.alignItems = 'center';
+        headerInfo.className = 'chat-header-info';
+        
+        // Add avatar to header, with a dot showing the availability
+        const headerAvatarWrapper = document.createElement('span');
+        headerAvatarWrapper.className = 'chat-header-avatar-wrapper';
         
-        // Add avatar to header
         const headerAvatar = document.createElement('img');
+        headerAvatar.className = 'chat-header-avatar';
         headerAvatar.src = this.options.assistantAvatarUrl;
-        headerAvatar.alt = this.options.assistantName;
-        headerAvatar.style.width = '32px';
-        headerAvatar.style.height = '32px';
-        headerAvatar.style.borderRadius = '50%';
-        headerAvatar.style.marginRight = '10px';
-        headerAvatar.style.border = '2px solid white';
-        
-        // Add assistant info text
+        headerAvatar.alt = ''; // Decorative, the name follows in the title
+        
+        this.presenceDot = document.createElement('span');
+        this.presenceDot.setAttribute('aria-hidden', 'true');
+        
+        headerAvatarWrapper.appendChild(headerAvatar);
+        headerAvatarWrapper.appendChild(this.presenceDot);
+        
+        // Add assistant info text (status texts are set by renderStatus())
         const headerText = document.createElement('div');
-        headerText.style.display = 'flex';
-        headerText.style.flexDirection = 'column';
+        headerText.className = 'chat-header-text';
         
-        const headerTitle = document.createElement('div');
-        headerTitle.textContent = `🟢 ONLINE: ${this.options.assistantName}`;
-        headerTitle.style.fontWeight = 'bold';
-        headerTitle.style.fontSize = '16px';
+        this.headerTitle = document.createElement('div');
+        this.headerTitle.className = 'chat-header-title';
+        this.headerTitle.id = 'chat-header-title';
         
-        const headerSubtitle = document.createElement('div');
-        headerSubtitle.textContent = 'Nós respondemos em minutos';
-        headerSubtitle.style.fontSize = '12px';
-        headerSubtitle.style.opacity = '0.9';
+        this.headerSubtitle = document.createElement('div');
+        this.headerSubtitle.className = 'chat-header-subtitle';
         
-        headerText.appendChild(headerTitle);
-        headerText.appendChild(headerSubtitle);
+        headerText.appendChild(this.headerTitle);
+        headerText.appendChild(this.headerSubtitle);
         
-        headerInfo.appendChild(headerAvatar);
+        headerInfo.appendChild(headerAvatarWrapper);
         headerInfo.appendChild(headerText);
         
         const closeButton = document.createElement('button');
+        closeButton.type = 'button';
         closeButton.className = 'chat-close-button';
-        closeButton.style.background = 'none';
-        closeButton.style.border = 'none';
-        closeButton.style.color = this.options.textColor;
-        closeButton.style.cursor = 'pointer';
-        closeButton.style.fontSize = '20px';
-        closeButton.style.padding = '0';
-        closeButton.style.lineHeight = '1';
-        closeButton.innerHTML = '&times;';
+        closeButton.setAttribute('aria-label', this.t('closeChat'));
+        closeButton.innerHTML = '<span aria-hidden="true">&times;</span>';
         
         chatHeader.appendChild(headerInfo);
-        chatHeader.appendChild(closeButton);
+        
+        // Diagnostics for support, only when enabled
+        this.diagnosticsPanel = null;
+        if (this.options.diagnostics) {
+            const diagnosticsButton = document.createElement('button');
+            diagnosticsButton.type = 'button';
+            diagnosticsButton.className = 'chat-header-button';
+            diagnosticsButton.setAttribute('aria-label', this.t('openDiagnostics'));
+            diagnosticsButton.title = this.t('openDiagnostics');
+            diagnosticsButton.innerHTML = `
+                <svg aria-hidden="true" width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M3 12h4l3-8 4 16 3-8h4" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+            `;
+            diagnosticsButton.addEventListener('click', () => this.toggleDiagnostics());
+            chatHeader.appendChild(diagnosticsButton);
+        }
+        
+        // Menu to download, print or email the transcript
+        this.transcriptMenu = null;
+        this.transcriptButton = null;
+        if (this.options.transcript) {
+            this.transcriptButton = document.createElement('button');
+            this.transcriptButton.type = 'button';
+            this.transcriptButton.className = 'chat-header-button';
+            this.transcriptButton.setAttribute('aria-label', this.t('transcriptMenu'));
+            this.transcriptButton.setAttribute('aria-haspopup', 'menu');
+            this.transcriptButton.setAttribute('aria-expanded', 'false');
+            this.transcriptButton.title = this.t('transcriptMenu');
+            this.transcriptButton.innerHTML = `
+                <svg aria-hidden="true" width="18" height="18" viewBox="0 0 24 24" fill="currentColor" xmlns="http://www.w3.org/2000/svg">
+                    <circle cx="12" cy="5" r="2"/><circle cx="12" cy="12" r="2"/><circle cx="12" cy="19" r="2"/>
+                </svg>
+            `;
+            this.transcriptButton.addEventListener('click', () => this.toggleTranscriptMenu());
+            chatHeader.appendChild(this.transcriptButton);
+        }
+        
+        // An inline chat cannot be closed
+        if (!this.inline) {
+            chatHeader.appendChild(closeButton);
+        }
         
         // Create chat messages container
         this.messagesContainer = document.createElement('div');
         this.messagesContainer.className = 'chat-messages';
-        this.messagesContainer.style.flex = '1';
-        this.messagesContainer.style.padding = '15px';
-        this.messagesContainer.style.overflowY = 'auto';
-        this.messagesContainer.style.backgroundColor = '#f8f9fa';
+        
+        // New messages are announced politely by screen readers
+        this.messagesContainer.setAttribute('role', 'log');
+        this.messagesContainer.setAttribute('aria-live', 'polite');
+        this.messagesContainer.setAttribute('aria-label', this.t('messagesLabel'));
+        this.messagesContainer.tabIndex = 0;
         
         // Create chat input area
         const inputArea = document.createElement('div');
         inputArea.className = 'chat-input-area';
-        inputArea.style.padding = '15px';
-        inputArea.style.borderTop = '1px solid #e0e0e0';
-        inputArea.style.display = 'flex';
-        inputArea.style.backgroundColor = '#ffffff';
-        inputArea.style.position = 'relative';
-        
-        // Fixed padding for input area
-        inputArea.style.padding = '15px';
+        this.inputArea = inputArea;
         
         // Create message input wrapper
         const inputWrapper = document.createElement('div');
-        inputWrapper.style.display = 'flex';
-        inputWrapper.style.width = '100%';
-        inputWrapper.style.position = 'relative';
-        inputWrapper.style.alignItems = 'center';
-        inputWrapper.style.border = '1px solid #e0e0e0';
-        inputWrapper.style.borderRadius = '24px';
-        inputWrapper.style.overflow = 'hidden';
-        inputWrapper.style.backgroundColor = '#ffffff';
-        
-        this.messageInput = document.createElement('input');
+        inputWrapper.className = 'chat-input-wrapper';
+        
+        // The 16px font size of the input prevents zoom on mobile when focusing it
+        // Multi-line composer: Enter sends, Shift+Enter adds a line
+        this.messageInput = document.createElement('textarea');
         this.messageInput.className = 'chat-input';
-        this.messageInput.type = 'text';
-        this.messageInput.placeholder = 'Escreva sua mensagem aqui...';
-        this.messageInput.style.flex = '1';
-        this.messageInput.style.padding = '12px 15px';
-        this.messageInput.style.border = 'none';
-        this.messageInput.style.outline = 'none';
-        this.messageInput.style.fontSize = '16px'; // Increased font size to prevent zoom on mobile
-        
-        // Prevent zoom on mobile devices when focusing on the input
-        // This is done by preventing the default behavior of the focus event
-        this.messageInput.addEventListener('focus', function(e) {
-            // Add a slight delay to ensure the input is properly focused
-            setTimeout(function() {
-                // Prevent zoom by setting font size temporarily larger and then back
-                document.activeElement.style.fontSize = '16px';
-            }, 100);
-        });
-        
-        const sendButton = document.createElement('button');
-        sendButton.className = 'chat-send-button';
-        sendButton.style.backgroundColor = 'transparent';
-        sendButton.style.border = 'none';
-        sendButton.style.cursor = 'pointer';
-        sendButton.style.padding = '8px 15px 8px 0';
-        sendButton.style.display = 'flex';
-        sendButton.style.alignItems = 'center';
-        sendButton.style.justifyContent = 'center';
+        this.messageInput.rows = 1;
+        this.messageInput.placeholder = this.t('inputPlaceholder');
+        this.messageInput.setAttribute('aria-label', this.t('inputLabel'));
+        if (this.options.maxLength > 0) {
+            this.messageInput.maxLength = this.options.maxLength;
+        }
+        
+        this.sendButton = document.createElement('button');
+        this.sendButton.type = 'button';
+        this.sendButton.className = 'chat-send-button';
+        this.sendButton.setAttribute('aria-label', this.t('sendMessage'));
         
         // Add send icon (paper airplane)
-        sendButton.innerHTML = `
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M22 2L11 13" stroke="${this.options.bubbleColor}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                <path d="M22 2L15 22L11 13L2 9L22 2Z" stroke="${this.options.bubbleColor}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+        this.sendButton.innerHTML = `
+            <svg width="20" height="20" aria-hidden="true" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M22 2L11 13" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                <path d="M22 2L15 22L11 13L2 9L22 2Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
             </svg>
         `;
         
+        // Attachment button with its hidden file picker
+        if (this.options.attachments) {
+            const attachButton = document.createElement('button');
+            attachButton.type = 'button';
+            attachButton.className = 'chat-attach-button';
+            attachButton.setAttribute('aria-label', this.t('attachFile'));
+            attachButton.innerHTML = `
+                <svg width="20" height="20" aria-hidden="true" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M21.44 11.05L12.25 20.24C11.12 21.37 9.59 22 8 22C6.41 22 4.88 21.37 3.76 20.24C2.63 19.12 2 17.59 2 16C2 14.41 2.63 12.88 3.76 11.76L12.95 2.56C13.7 1.81 14.72 1.39 15.78 1.39C16.84 1.39 17.86 1.81 18.61 2.56C19.36 3.31 19.78 4.33 19.78 5.39C19.78 6.45 19.36 7.47 18.61 8.22L9.41 17.41C9.03 17.79 8.52 18 7.99 18C7.46 18 6.95 17.79 6.58 17.41C6.2 17.04 5.99 16.53 5.99 16C5.99 15.47 6.2 14.96 6.58 14.59L15.07 6.1" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+            `;
+            
+            this.fileInput = document.createElement('input');
+            this.fileInput.type = 'file';
+            this.fileInput.multiple = true;
+            this.fileInput.accept = this.options.allowedFileTypes.join(',');
+            this.fileInput.hidden = true;
+            
+            attachButton.addEventListener('click', () => this.fileInput.click());
+            this.fileInput.addEventListener('change', () => {
+                this.addAttachments(this.fileInput.files);
+                this.fileInput.value = '';
+            });
+            
+            inputWrapper.appendChild(attachButton);
+            inputWrapper.appendChild(this.fileInput);
+        }
+        
         inputWrapper.appendChild(this.messageInput);
-        inputWrapper.appendChild(sendButton);
+        inputWrapper.appendChild(this.sendButton);
+        
+        // Characters used, shown when the text gets close to maxLength
+        this.characterCounter = document.createElement('div');
+        this.characterCounter.className = 'chat-character-counter';
+        this.characterCounter.id = 'chat-character-counter';
+        this.characterCounter.hidden = true;
+        this.messageInput.setAttribute('aria-describedby', 'chat-character-counter');
+        
+        // Previews of the files to send and validation notices, above the input
+        this.attachmentPreviews = document.createElement('div');
+        this.attachmentPreviews.className = 'chat-attachment-previews';
+        this.attachmentPreviews.hidden = true;
+        
+        this.composerNotice = document.createElement('div');
+        this.composerNotice.className = 'chat-composer-notice';
+        this.composerNotice.setAttribute('role', 'alert');
+        this.composerNotice.hidden = true;
+        
+        inputArea.appendChild(this.composerNotice);
+        inputArea.appendChild(this.attachmentPreviews);
         inputArea.appendChild(inputWrapper);
+        inputArea.appendChild(this.characterCounter);
         
         // Assemble the chat window
         this.chatWindow.appendChild(chatHeader);
         this.chatWindow.appendChild(this.messagesContainer);
         this.chatWindow.appendChild(inputArea);
         
-        // Add elements to the container
+        // Add elements to the container; inline there is no launcher
         this.container.appendChild(this.chatWindow);
-        this.container.appendChild(this.bubbleButton);
+        if (!this.inline) {
+            this.container.appendChild(this.bubbleButton);
+        }
         
         // Add the container to the document
-        document.body.appendChild(this.container);
+        this.root.appendChild(this.container);
+        mountTarget.appendChild(this.host);
         
         // Add event listeners
         this.bubbleButton.addEventListener('click', () => this.toggleChat());
         closeButton.addEventListener('click', () => this.toggleChat());
-        sendButton.addEventListener('click', () => this.sendMessage());
-        this.messageInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.sendMessage();
+        
+        // A click elsewhere in the window closes the transcript menu
+        this.chatWindow.addEventListener('click', (e) => {
+            // The path is taken at dispatch, so it still holds items removed by the click
+            const path = e.composedPath();
+            if (this.transcriptMenu && !path.includes(this.transcriptMenu) && !path.includes(this.transcriptButton)) {
+                this.toggleTranscriptMenu(false);
             }
         });
+        this.chatWindow.addEventListener('keydown', (e) => this.handleWindowKeydown(e));
+        this.sendButton.addEventListener('click', () => this.sendMessage());
+        this.messageInput.addEventListener('keydown', (e) => this.handleComposerKeydown(e));
+        this.messageInput.addEventListener('input', () => {
+            this.recallIndex = null;
+            this.updateComposer();
+            this.saveDraft();
+        });
+        
+        // Restore the text typed on an earlier page
+        this.setComposerText(this.loadDraft());
+        
+        // Files can also be dropped on the window or pasted into the input
+        if (this.options.attachments) {
+            this.chatWindow.addEventListener('dragover', (e) => {
+                if (e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files')) {
+                    e.preventDefault();
+                    this.chatWindow.classList.add('chat-dragging');
+                }
+            });
+            this.chatWindow.addEventListener('dragleave', (e) => {
+                if (!this.chatWindow.contains(e.relatedTarget)) {
+                    this.chatWindow.classList.remove('chat-dragging');
+                }
+            });
+            this.chatWindow.addEventListener('drop', (e) => {
+                this.chatWindow.classList.remove('chat-dragging');
+                if (e.dataTransfer && e.dataTransfer.files.length > 0) {
+                    e.preventDefault();
+                    this.addAttachments(e.dataTransfer.files);
+                }
+            });
+            this.messageInput.addEventListener('paste', (e) => {
+                const files = e.clipboardData ? e.clipboardData.files : [];
+                if (files.length > 0) {
+                    e.preventDefault();
+                    this.addAttachments(files);
+                }
+            });
+            
+            // Keep files picked before a rebuild by updateOptions()
+            this.renderAttachmentPreviews();
+        }
+        
+        // Add welcome message with assistant avatar (never stored in the history)
+        this.addMessage(this.options.welcomeMessage || this.t('welcome'), 'bot', { persist: false, system: true });
         
-        // No mobile-specific behavior
+        // Replay the stored conversation, with a day separator before older days
+        this.lastMessageDay = new Date().toDateString();
+        this.renderHistory();
+        
+        // Ask for the visitor's details before the first message (the offline form asks for them itself)
+        this.leadForm = null;
+        if (this.getLeadFormConfig() && this.history.length === 0 && !this.isLeadComplete() && this.status !== 'offline') {
+            this.showLeadForm();
+        }
         
-        // Add welcome message with assistant avatar
-        this.addMessage(this.options.welcomeMessage, 'bot');
+        // Header status and, while offline, the contact form
+        this.offlineForm = null;
+        this.renderStatus();
     }
     
     /**
-     * Toggle the chat window visibility
+     * Element the widget is added to: the container option for the inline mode, else the body
+     * @returns {HTMLElement}
      */
-    toggleChat() {
-        if (this.chatWindow.style.display === 'none') {
-            this.chatWindow.style.display = 'flex';
-        } else {
-            this.chatWindow.style.display = 'none';
+    getMountTarget() {
+        const container = this.options.container;
+        if (!container) {
+            if (!document.body) {
+                throw new Error('document.body does not exist yet, create the widget after DOMContentLoaded or use ChatBubbleWidget.install()');
+            }
+            return document.body;
         }
         
-        // Scroll to bottom when opening chat
-        if (this.chatWindow.style.display === 'flex') {
-            setTimeout(() => {
-                this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
-            }, 100);
+        const element = typeof container === 'string' ? document.querySelector(container) : container;
+        if (!element) {
+            throw new Error(`Chat container not found: ${container}`);
         }
+        return element;
     }
     
     /**
-     * Add a message to the chat window
-     * @param {string} text - Message text
-     * @param {string} sender - 'user' or 'bot'
+     * Build the CSS that sets the theme's custom properties
+     * bubbleColor/textColor are still honoured as primaryColor/onPrimaryColor
+     * @returns {string} CSS text for the shadow root
      */
-    addMessage(text, sender) {
-        // Remove any loading indicators first when adding a bot message
-        if (sender === 'bot') {
-            this.removeLoadingIndicators();
-        }
-        
-        const messageContainer = document.createElement('div');
-        messageContainer.className = `chat-message-container ${sender}-container`;
-        messageContainer.style.display = 'flex';
-        messageContainer.style.marginBottom = '16px';
-        messageContainer.style.position = 'relative';
+    getThemeCss() {
+        const { mode, dark, ...theme } = this.options.theme || {};
+        const lightValues = {
+            primaryColor: this.options.bubbleColor,
+            onPrimaryColor: this.options.textColor,
+            ...theme
+        };
         
-        // For bot messages, add avatar only if it's not a consecutive bot message
-        if (sender === 'bot') {
-            // Check if the previous message was also from the bot
-            const previousMessageContainer = this.messagesContainer.lastElementChild;
-            const isConsecutiveBot = previousMessageContainer && 
-                                    previousMessageContainer.classList.contains('bot-container') &&
-                                    !previousMessageContainer.classList.contains('chat-loading-container');
-            
-            // Only add avatar if it's not a consecutive bot message
-            if (!isConsecutiveBot) {
-                const avatarElement = document.createElement('img');
-                avatarElement.src = this.options.assistantAvatarUrl;
-                avatarElement.alt = this.options.assistantName;
-                avatarElement.style.width = '36px';
-                avatarElement.style.height = '36px';
-                avatarElement.style.borderRadius = '50%';
-                avatarElement.style.marginRight = '10px';
-                avatarElement.style.alignSelf = 'flex-start';
-                messageContainer.appendChild(avatarElement);
-            } else {
-                // Add spacing to align with avatar width for consecutive messages
-                const spacerElement = document.createElement('div');
-                spacerElement.style.width = '46px'; // 36px avatar + 10px margin
-                spacerElement.style.flexShrink = '0';
-                messageContainer.appendChild(spacerElement);
-            }
-        }
+        // Turn { primaryColor: '#000' } into "--chat-primary: #000;", dropping unknown keys
+        // and characters that could escape the declaration
+        const toDeclarations = (values) => Object.keys(values || {})
+            .filter(key => ChatBubbleWidget.themeVariables[key] && values[key] !== null && values[key] !== undefined)
+            .map(key => `${ChatBubbleWidget.themeVariables[key]}: ${String(values[key]).replace(/[;{}<>]/g, '')};`)
+            .join(' ');
         
-        const messageElement = document.createElement('div');
-        messageElement.className = `chat-message ${sender}-message`;
-        messageElement.style.padding = '12px 16px';
-        messageElement.style.borderRadius = '18px';
-        messageElement.style.maxWidth = sender === 'user' ? '85%' : '80%';
-        messageElement.style.wordBreak = 'break-word';
-        messageElement.style.boxShadow = '0 1px 2px rgba(0, 0, 0, 0.05)';
-        messageElement.style.lineHeight = '1.4';
-        messageElement.style.fontSize = '14px';
-        
-        if (sender === 'user') {
-            messageElement.style.backgroundColor = this.options.bubbleColor;
-            messageElement.style.color = this.options.textColor;
-            messageElement.style.marginLeft = 'auto';
-            messageElement.style.borderBottomRightRadius = '4px';
-        } else {
-            messageElement.style.backgroundColor = '#ffffff';
-            messageElement.style.color = '#333333';
-            messageElement.style.marginRight = 'auto';
-            messageElement.style.borderBottomLeftRadius = '4px';
-            messageElement.style.border = '1px solid rgba(0, 0, 0, 0.05)';
+        let css = `:host { ${toDeclarations(lightValues)} }`;
+        if (dark) {
+            const darkDeclarations = toDeclarations(dark);
+            css += `\n:host([data-theme-mode="dark"]) { ${darkDeclarations} }`;
+            css += `\n@media (prefers-color-scheme: dark) { :host([data-theme-mode="auto"]) { ${darkDeclarations} } }`;
         }
-        
-        messageElement.textContent = text;
-        messageContainer.appendChild(messageElement);
-        this.messagesContainer.appendChild(messageContainer);
-        
-        // Scroll to bottom
-        this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+        return css;
     }
     
     /**
-     * Helper method to remove all loading indicators from the chat
+     * Storage key of the transcript for the current session
      */
-    removeLoadingIndicators() {
-        // Remove the entire loading container instead of just the loading element
-        const loadingContainers = this.messagesContainer.querySelectorAll('.chat-loading-container');
-        loadingContainers.forEach(container => container.remove());
+    getHistoryKey() {
+        return this.storageKey(`history_${this.sessionId}`);
     }
     
     /**
-     * Send user message to webhook and process response
+     * Load the stored transcript for the current session from localStorage
+     * Expired or malformed entries are discarded
+     * @returns {Array} List of { text, sender, timestamp } entries
      */
-    async sendMessage() {
-        const message = this.messageInput.value.trim();
-        if (!message) return;
-        
-        // Clear input
-        this.messageInput.value = '';
-        
-        // Add user message to chat
-        this.addMessage(message, 'user');
-        
-        // Remove any existing loading indicators first
-        this.removeLoadingIndicators();
+    loadHistory() {
+        if (!this.options.persistHistory || !this.consentGranted) {
+            return [];
+        }
+        
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.getHistoryKey()));
+            if (!stored || !Array.isArray(stored.messages)) {
+                return [];
+            }
+            
+            // Drop the whole transcript once it has not been touched for longer than the TTL
+            if (this.options.historyTtl && Date.now() - stored.updatedAt > this.options.historyTtl) {
+                localStorage.removeItem(this.getHistoryKey());
+                return [];
+            }
+            
+            // Notices stored by earlier versions (e.g. a send error) are not part of the conversation
+            return stored.messages.filter(entry => entry && typeof entry.text === 'string' && !entry.system &&
+                                                   (entry.sender === 'user' || entry.sender === 'bot'));
+        } catch (error) {
+            this.log('warn', 'Could not load chat history:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Save the transcript to localStorage, keeping only the most recent messages
+     */
+    saveHistory() {
+        if (this.history.length > this.options.historyMaxMessages) {
+            this.history = this.history.slice(-this.options.historyMaxMessages);
+        }
+        
+        // Without consent the transcript is kept in memory only
+        if (!this.options.persistHistory || !this.consentGranted) {
+            return;
+        }
+        
+        try {
+            localStorage.setItem(this.getHistoryKey(), JSON.stringify({
+                updatedAt: Date.now(),
+                messages: this.history
+            }));
+        } catch (error) {
+            // Storage may be full or disabled (e.g. private browsing)
+            this.log('warn', 'Could not save chat history:', error);
+        }
+    }
+    
+    /**
+     * Render the transcript below the welcome message
+     */
+    renderHistory() {
+        // Entries stored before messages had IDs get one now
+        const missingIds = this.history.filter(entry => !entry.id);
+        missingIds.forEach(entry => {
+            entry.id = this.createMessageId();
+        });
+        if (missingIds.length > 0) {
+            this.saveHistory();
+        }
+        
+        this.history.forEach(entry => {
+            const meta = { persist: false, id: entry.id, timestamp: entry.timestamp, feedback: entry.feedback };
+            if (entry.block) {
+                this.addBlock(entry.block, meta);
+            } else {
+                this.addMessage(entry.text, entry.sender, { ...meta, attachments: entry.attachments });
+            }
+        });
+    }
+    
+    /**
+     * Remove all rendered messages except the welcome message
+     */
+    clearRenderedMessages() {
+        while (this.messagesContainer.children.length > 1) {
+            this.messagesContainer.lastElementChild.remove();
+        }
+        this.lastMessageDay = new Date().toDateString();
+    }
+    
+    /**
+     * Fetch the conversation history from the webhook so it follows the visitor
+     * across tabs and devices. The webhook receives { action: 'history', sessionId }
+     * and may answer with an array of messages or { messages: [...] }.
+     */
+    async fetchRemoteHistory() {
+        // The conversation as it was when the request started
+        const localLength = this.history.length;
+        const localLast = this.history[localLength - 1];
+        
+        try {
+            const response = await this.authorizedFetch(this.options.webhookUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    action: 'history',
+                    sessionId: this.sessionId,
+                    source: 'website'
+                })
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            const messages = Array.isArray(data) ? data : data && data.messages;
+            if (!Array.isArray(messages)) {
+                return;
+            }
+            
+            const remoteHistory = messages
+                .filter(entry => entry && typeof entry.text === 'string' &&
+                                 (entry.sender === 'user' || entry.sender === 'bot'))
+                .map(entry => ({
+                    text: entry.text,
+                    sender: entry.sender,
+                    timestamp: entry.timestamp || new Date().toISOString()
+                }));
+            
+            // Ignore the remote copy when it is empty or older than what we already have
+            if (remoteHistory.length === 0 || remoteHistory.length < this.history.length) {
+                return;
+            }
+            
+            // A message sent or received meanwhile would be wiped together with the typing
+            // indicator and quick replies that follow it, so the local conversation wins
+            if (this.history.length !== localLength || this.history[localLength - 1] !== localLast) {
+                this.log('info', 'Kept the local chat history, it changed while the remote copy was loading');
+                return;
+            }
+            
+            this.history = remoteHistory;
+            this.saveHistory();
+            this.clearRenderedMessages();
+            this.renderHistory();
+        } catch (error) {
+            this.log('warn', 'Could not fetch chat history from webhook:', error);
+        }
+    }
+    
+    /**
+     * Register an event handler
+     * Events: 'open', 'close', 'messageSent', 'messageReceived', 'error', 'connectionChange',
+     * 'identify', 'leadCaptured', 'consentChange', 'forget', 'trigger', 'statusChange', 'offlineMessage', 'feedback',
+     * 'transcriptExport'
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event detail object
+     * @returns {ChatBubbleWidget} The widget, for chaining
+     */
+    on(event, handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError('Event handler must be a function');
+        }
+        
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(handler);
+        return this;
+    }
+    
+    /**
+     * Remove an event handler, or all handlers of an event when none is given
+     * @param {string} event - Event name
+     * @param {Function} [handler] - Handler passed to on()
+     * @returns {ChatBubbleWidget} The widget, for chaining
+     */
+    off(event, handler) {
+        if (!this.listeners[event]) {
+            return this;
+        }
+        
+        if (handler) {
+            this.listeners[event] = this.listeners[event].filter(listener => listener !== handler);
+        } else {
+            delete this.listeners[event];
+        }
+        return this;
+    }
+    
+    /**
+     * Call the handlers of an event
+     * A failing handler is logged and does not affect the widget or other handlers
+     * @param {string} event - Event name
+     * @param {Object} [detail] - Data passed to the handlers
+     */
+    emit(event, detail = {}) {
+        (this.listeners[event] || []).slice().forEach(handler => {
+            try {
+                handler.call(this, detail);
+            } catch (error) {
+                this.log('error', `Error in "${event}" handler:`, error);
+            }
+        });
+    }
+    
+    /**
+     * Write to the console (or the logger option) if the level is enabled by the debug option
+     * Warnings and errors are also added to the diagnostics timeline
+     * @param {string} level - 'error', 'warn', 'info' or 'debug'
+     * @param {...*} args - Values to log
+     */
+    log(level, ...args) {
+        if (this.options.diagnostics && (level === 'error' || level === 'warn')) {
+            this.recordDiagnostic({
+                type: 'log',
+                level: level,
+                message: args.map(arg => arg instanceof Error ? arg.message : this.formatDiagnosticValue(arg)).join(' ')
+            });
+        }
+        
+        const levels = ChatBubbleWidget.logLevels;
+        const debug = this.options.debug;
+        const threshold = debug === true ? 'debug' : (levels.includes(debug) ? debug : 'error');
+        if (levels.indexOf(level) > levels.indexOf(threshold)) return;
+        
+        const logger = this.options.logger || console;
+        if (typeof logger[level] === 'function') {
+            logger[level]('[ChatBubble]', ...args);
+        }
+    }
+    
+    /**
+     * Add an entry to the diagnostics timeline (only kept while the diagnostics option is on)
+     * @param {Object} entry - { type: 'request' | 'push' | 'log', ... }
+     * @returns {Object} The stored entry, to be completed with updateDiagnostic()
+     */
+    recordDiagnostic(entry) {
+        entry.time = Date.now();
+        if (!this.options.diagnostics) {
+            return entry;
+        }
+        
+        this.diagnostics.push(entry);
+        if (this.diagnostics.length > 50) {
+            this.diagnostics.shift();
+        }
+        this.renderDiagnostics();
+        return entry;
+    }
+    
+    /**
+     * Complete an entry of the diagnostics timeline, e.g. with the response of a request
+     * @param {Object} entry - Entry returned by recordDiagnostic()
+     * @param {Object} changes - Fields to set
+     */
+    updateDiagnostic(entry, changes) {
+        Object.assign(entry, changes);
+        if (this.diagnostics.includes(entry)) {
+            this.renderDiagnostics();
+        }
+    }
+    
+    /**
+     * Entries of the diagnostics timeline, oldest first
+     * @returns {Array<Object>} Requests ({ url, payload, status, latency, response, error }),
+     *                          pushed events and logged warnings and errors
+     */
+    getDiagnostics() {
+        return this.diagnostics.map(entry => ({ ...entry }));
+    }
+    
+    /**
+     * Show or hide the diagnostics panel over the chat window
+     * @param {boolean} [force] - true to show it, false to hide it, toggles otherwise
+     */
+    toggleDiagnostics(force) {
+        const show = force === undefined ? !this.diagnosticsPanel : force;
+        
+        if (!show) {
+            if (this.diagnosticsPanel) {
+                this.diagnosticsPanel.remove();
+                this.diagnosticsPanel = null;
+            }
+            return;
+        }
+        if (this.diagnosticsPanel || !this.options.diagnostics) return;
+        
+        const panel = document.createElement('div');
+        panel.className = 'chat-diagnostics';
+        panel.setAttribute('role', 'region');
+        panel.setAttribute('aria-label', this.t('diagnosticsTitle'));
+        
+        const header = document.createElement('div');
+        header.className = 'chat-diagnostics-header';
+        
+        const title = document.createElement('strong');
+        title.textContent = this.t('diagnosticsTitle');
+        
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.className = 'chat-diagnostics-action';
+        clearButton.textContent = this.t('clearDiagnostics');
+        clearButton.addEventListener('click', () => {
+            this.diagnostics = [];
+            this.renderDiagnostics();
+        });
+        
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'chat-close-button';
+        closeButton.setAttribute('aria-label', this.t('closeDiagnostics'));
+        closeButton.innerHTML = '<span aria-hidden="true">&times;</span>';
+        closeButton.addEventListener('click', () => this.toggleDiagnostics(false));
+        
+        header.appendChild(title);
+        header.appendChild(clearButton);
+        header.appendChild(closeButton);
+        
+        // Session ID, to look the conversation up in the backend
+        const session = document.createElement('div');
+        session.className = 'chat-diagnostics-session';
+        
+        const sessionLabel = document.createElement('span');
+        sessionLabel.textContent = this.t('sessionIdLabel');
+        
+        const sessionId = document.createElement('code');
+        sessionId.textContent = this.sessionId;
+        
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.className = 'chat-diagnostics-action';
+        copyButton.textContent = this.t('copy');
+        copyButton.addEventListener('click', async () => {
+            try {
+                await this.copyText(this.sessionId);
+                copyButton.textContent = this.t('copied');
+                setTimeout(() => {
+                    copyButton.textContent = this.t('copy');
+                }, 2000);
+            } catch (error) {
+                this.log('warn', 'Could not copy the session ID:', error);
+            }
+        });
+        
+        session.appendChild(sessionLabel);
+        session.appendChild(sessionId);
+        session.appendChild(copyButton);
+        
+        const list = document.createElement('ol');
+        list.className = 'chat-diagnostics-list';
+        
+        panel.appendChild(header);
+        panel.appendChild(session);
+        panel.appendChild(list);
+        
+        this.diagnosticsPanel = panel;
+        this.chatWindow.appendChild(panel);
+        this.renderDiagnostics();
+        closeButton.focus();
+    }
+    
+    /**
+     * Render the timeline in the diagnostics panel, newest first
+     */
+    renderDiagnostics() {
+        if (!this.diagnosticsPanel) return;
+        
+        const list = this.diagnosticsPanel.querySelector('.chat-diagnostics-list');
+        list.textContent = '';
+        
+        if (this.diagnostics.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'chat-diagnostics-empty';
+            empty.textContent = this.t('noDiagnostics');
+            list.appendChild(empty);
+            return;
+        }
+        
+        this.diagnostics.slice().reverse().forEach(entry => {
+            const item = document.createElement('li');
+            item.className = `chat-diagnostics-entry chat-diagnostics-${entry.type}`;
+            
+            const time = new Date(entry.time).toLocaleTimeString(this.locale);
+            let summary = `${time} `;
+            const sections = [];
+            
+            if (entry.type === 'request') {
+                const failed = entry.error || (typeof entry.status === 'number' && entry.status >= 400);
+                item.classList.toggle('chat-diagnostics-failed', !!failed);
+                summary += `POST ${entry.status}${entry.latency !== undefined ? ` · ${entry.latency} ms` : ''}`;
+                sections.push(['URL', entry.url], [this.t('diagnosticsPayload'), entry.payload]);
+                if (entry.response !== undefined) {
+                    sections.push([this.t('diagnosticsResponse'), entry.response]);
+                }
+                if (entry.error) {
+                    sections.push([this.t('diagnosticsError'), entry.error]);
+                }
+            } else if (entry.type === 'push') {
+                summary += this.t('diagnosticsPushed');
+                sections.push([this.t('diagnosticsResponse'), entry.event]);
+            } else {
+                item.classList.toggle('chat-diagnostics-failed', entry.level === 'error');
+                summary += `${entry.level.toUpperCase()} ${entry.message}`;
+            }
+            
+            if (sections.length === 0) {
+                item.textContent = summary;
+            } else {
+                const details = document.createElement('details');
+                const summaryElement = document.createElement('summary');
+                summaryElement.textContent = summary;
+                details.appendChild(summaryElement);
+                
+                sections.forEach(([label, value]) => {
+                    const labelElement = document.createElement('div');
+                    labelElement.className = 'chat-diagnostics-label';
+                    labelElement.textContent = label;
+                    
+                    const pre = document.createElement('pre');
+                    pre.textContent = this.formatDiagnosticValue(value);
+                    
+                    details.appendChild(labelElement);
+                    details.appendChild(pre);
+                });
+                item.appendChild(details);
+            }
+            
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * Text of a logged or recorded value; JSON is pretty-printed
+     * @param {*} value - Any value
+     * @returns {string}
+     */
+    formatDiagnosticValue(value) {
+        if (typeof value === 'string') {
+            try {
+                return JSON.stringify(JSON.parse(value), null, 2);
+            } catch (e) {
+                return value;
+            }
+        }
+        
+        try {
+            return JSON.stringify(value, null, 2);
+        } catch (e) {
+            return String(value);
+        }
+    }
+    
+    /**
+     * Copy text to the clipboard, with a fallback for browsers without the Clipboard API
+     * @param {string} text - Text to copy
+     * @returns {Promise<void>}
+     */
+    async copyText(text) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            await navigator.clipboard.writeText(text);
+            return;
+        }
+        
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        this.root.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        textarea.remove();
+        if (!copied) {
+            throw new Error('Copy command failed');
+        }
+    }
+    
+    /**
+     * Show or hide the transcript menu below the header
+     * @param {boolean} [force] - true to show it, false to hide it, toggles otherwise
+     */
+    toggleTranscriptMenu(force) {
+        const show = force === undefined ? !this.transcriptMenu : force;
+        
+        if (!show) {
+            if (this.transcriptMenu) {
+                this.transcriptMenu.remove();
+                this.transcriptMenu = null;
+                this.transcriptButton.setAttribute('aria-expanded', 'false');
+            }
+            return;
+        }
+        if (this.transcriptMenu || !this.transcriptButton) return;
+        
+        const menu = document.createElement('div');
+        menu.className = 'chat-transcript-menu';
+        menu.setAttribute('role', 'menu');
+        menu.setAttribute('aria-label', this.t('transcriptMenu'));
+        
+        const items = [
+            ['downloadText', () => this.downloadTranscript('txt')],
+            ['downloadHtml', () => this.downloadTranscript('html')],
+            ['downloadJson', () => this.downloadTranscript('json')],
+            ['printTranscript', () => this.printTranscript()],
+            ['emailTranscript', () => this.showTranscriptEmailForm()]
+        ];
+        items.forEach(([key, action]) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'chat-transcript-item';
+            item.setAttribute('role', 'menuitem');
+            item.textContent = this.t(key);
+            item.addEventListener('click', () => {
+                // The email form replaces the items, everything else closes the menu
+                if (key !== 'emailTranscript') {
+                    this.toggleTranscriptMenu(false);
+                    this.transcriptButton.focus();
+                }
+                action();
+            });
+            menu.appendChild(item);
+        });
+        
+        // Arrow keys move between the items
+        menu.addEventListener('keydown', (e) => {
+            const menuItems = Array.from(menu.querySelectorAll('[role="menuitem"]'));
+            const index = menuItems.indexOf(this.root.activeElement);
+            if (index === -1) return;
+            
+            const targets = {
+                ArrowDown: (index + 1) % menuItems.length,
+                ArrowUp: (index - 1 + menuItems.length) % menuItems.length,
+                Home: 0,
+                End: menuItems.length - 1
+            };
+            if (targets[e.key] !== undefined) {
+                e.preventDefault();
+                menuItems[targets[e.key]].focus();
+            }
+        });
+        
+        this.transcriptMenu = menu;
+        this.transcriptButton.setAttribute('aria-expanded', 'true');
+        this.chatWindow.appendChild(menu);
+        menu.firstElementChild.focus();
+    }
+    
+    /**
+     * Replace the transcript menu items with a form asking where to email the conversation
+     */
+    showTranscriptEmailForm() {
+        const menu = this.transcriptMenu;
+        if (!menu) return;
+        
+        menu.textContent = '';
+        menu.removeAttribute('role');
+        
+        const form = document.createElement('form');
+        form.className = 'chat-transcript-email';
+        form.noValidate = true;
+        
+        const label = document.createElement('label');
+        label.htmlFor = 'chat-transcript-email';
+        label.textContent = this.t('transcriptEmailLabel');
+        
+        const input = document.createElement('input');
+        input.type = 'email';
+        input.id = 'chat-transcript-email';
+        input.autocomplete = 'email';
+        input.value = this.visitor.email || '';
+        
+        const formError = document.createElement('div');
+        formError.className = 'chat-lead-error';
+        formError.setAttribute('role', 'alert');
+        formError.hidden = true;
+        
+        const submitButton = document.createElement('button');
+        submitButton.type = 'submit';
+        submitButton.className = 'chat-transcript-send';
+        submitButton.textContent = this.t('transcriptEmailSend');
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const email = input.value.trim();
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+                formError.textContent = this.t('invalidEmail');
+                formError.hidden = false;
+                input.focus();
+                return;
+            }
+            
+            formError.hidden = true;
+            submitButton.disabled = true;
+            if (await this.emailTranscript(email)) {
+                this.toggleTranscriptMenu(false);
+                this.transcriptButton.focus();
+                this.addMessage(this.t('transcriptEmailed', { email: email }), 'bot', { persist: false, system: true });
+            } else {
+                formError.textContent = this.t('transcriptEmailError');
+                formError.hidden = false;
+                submitButton.disabled = false;
+            }
+        });
+        
+        form.appendChild(label);
+        form.appendChild(input);
+        form.appendChild(formError);
+        form.appendChild(submitButton);
+        menu.appendChild(form);
+        input.focus();
+    }
+    
+    /**
+     * The conversation as rendered in the chat window, oldest first
+     * @returns {Array<Object>} Messages as { id, sender, name, text, timestamp }; the welcome message
+     *                          and other notices have no ID or timestamp
+     */
+    getTranscript() {
+        const containers = this.messagesContainer.querySelectorAll('.chat-message-container:not(.chat-loading-container)');
+        
+        return Array.from(containers).map(container => {
+            const sender = container.classList.contains('user-container') ? 'user' : 'bot';
+            const time = container.querySelector('.chat-message-time');
+            
+            return {
+                id: container.dataset.messageId || null,
+                sender: sender,
+                name: sender === 'user' ? (this.visitor.name || this.t('transcriptYou')) : this.options.assistantName,
+                text: this.getMessageText(container),
+                timestamp: time ? time.dateTime : null
+            };
+        });
+    }
+    
+    /**
+     * Source text of a rendered message: the Markdown (or the summary of rich content) kept in
+     * the history, else the text of the bubble with its line breaks and list items
+     * @param {HTMLElement} messageContainer - Row of the message
+     * @returns {string}
+     */
+    getMessageText(messageContainer) {
+        const id = messageContainer.dataset.messageId;
+        const entry = id && this.history.find(item => item.id === id);
+        if (entry) {
+            return entry.text;
+        }
+        
+        const bubble = messageContainer.querySelector('.chat-message, .chat-rich-content');
+        return bubble ? this.getElementText(bubble) : '';
+    }
+    
+    /**
+     * Text of an element keeping its line structure: blocks and <br> start new lines and
+     * list items get a "- " bullet; attachment thumbnails are left out
+     * @param {HTMLElement} element - Rendered bubble
+     * @returns {string}
+     */
+    getElementText(element) {
+        const blockTags = ['P', 'DIV', 'LI', 'UL', 'OL', 'PRE', 'BLOCKQUOTE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'TR'];
+        let text = '';
+        
+        const walk = (node) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                text += node.nodeValue;
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE || node.classList.contains('chat-message-attachments')) {
+                return;
+            }
+            if (node.tagName === 'BR') {
+                text += '\n';
+                return;
+            }
+            
+            const block = blockTags.includes(node.tagName);
+            if (block && text && !text.endsWith('\n')) {
+                text += '\n';
+            }
+            if (node.tagName === 'LI') {
+                text += '- ';
+            }
+            node.childNodes.forEach(walk);
+            if (block && !text.endsWith('\n')) {
+                text += '\n';
+            }
+        };
+        element.childNodes.forEach(walk);
+        
+        return text.replace(/\n{3,}/g, '\n\n').trim();
+    }
+    
+    /**
+     * Format the rendered conversation for export
+     * @param {string} format - 'txt', 'html' or 'json'
+     * @returns {string}
+     */
+    formatTranscript(format) {
+        const messages = this.getTranscript();
+        const title = this.t('transcriptTitle', { name: this.options.assistantName });
+        const exportedAt = new Date();
+        
+        if (format === 'json') {
+            return JSON.stringify({
+                sessionId: this.sessionId,
+                assistantName: this.options.assistantName,
+                locale: this.locale,
+                exportedAt: exportedAt.toISOString(),
+                messages: messages
+            }, null, 2);
+        }
+        
+        const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString(this.locale) : '');
+        
+        if (format === 'html') {
+            const doc = document.implementation.createHTMLDocument(title);
+            doc.documentElement.lang = this.locale;
+            doc.documentElement.dir = this.direction;
+            
+            const meta = doc.createElement('meta');
+            meta.setAttribute('charset', 'utf-8');
+            doc.head.prepend(meta);
+            
+            const style = doc.createElement('style');
+            style.textContent = `
+                body { font-family: Arial, sans-serif; max-width: 700px; margin: 20px auto; padding: 0 20px; color: #333; }
+                p { margin: 0 0 4px; }
+                .message { margin-bottom: 16px; }
+                .meta { color: #666; font-size: 12px; }
+                .text { white-space: pre-wrap; }
+            `;
+            doc.head.appendChild(style);
+            
+            const heading = doc.createElement('h1');
+            heading.textContent = title;
+            const exported = doc.createElement('p');
+            exported.className = 'meta';
+            exported.textContent = exportedAt.toLocaleString(this.locale);
+            doc.body.appendChild(heading);
+            doc.body.appendChild(exported);
+            
+            messages.forEach(message => {
+                const item = doc.createElement('div');
+                item.className = `message ${message.sender}`;
+                
+                const meta = doc.createElement('p');
+                meta.className = 'meta';
+                const name = doc.createElement('strong');
+                name.textContent = message.name;
+                meta.appendChild(name);
+                if (message.timestamp) {
+                    const time = doc.createElement('time');
+                    time.dateTime = message.timestamp;
+                    time.textContent = ` · ${formatTime(message.timestamp)}`;
+                    meta.appendChild(time);
+                }
+                
+                const text = doc.createElement('p');
+                text.className = 'text';
+                text.textContent = message.text;
+                
+                item.appendChild(meta);
+                item.appendChild(text);
+                doc.body.appendChild(item);
+            });
+            
+            return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+        }
+        
+        const lines = messages.map(message => {
+            const time = message.timestamp ? `[${formatTime(message.timestamp)}] ` : '';
+            return `${time}${message.name}: ${message.text}`;
+        });
+        return [title, exportedAt.toLocaleString(this.locale), '', ...lines].join('\n');
+    }
+    
+    /**
+     * Download the conversation as a file
+     * @param {string} [format] - 'txt', 'html' or 'json'
+     */
+    downloadTranscript(format = 'txt') {
+        const types = { txt: 'text/plain', html: 'text/html', json: 'application/json' };
+        const blob = new Blob([this.formatTranscript(format)], { type: `${types[format]};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `chat-transcript-${new Date().toISOString().slice(0, 10)}.${format}`;
+        this.root.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        
+        this.emit('transcriptExport', { format: format });
+    }
+    
+    /**
+     * Open the conversation in a new window and print it
+     */
+    printTranscript() {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            this.log('warn', 'Could not open the print window, it was probably blocked');
+            return;
+        }
+        
+        printWindow.document.write(this.formatTranscript('html'));
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+        
+        this.emit('transcriptExport', { format: 'print' });
+    }
+    
+    /**
+     * Ask the webhook to email the conversation, posted as { action: 'emailTranscript', email, transcript }
+     * @param {string} email - Address to send the transcript to
+     * @returns {Promise<boolean>} Whether the webhook accepted the request
+     */
+    async emailTranscript(email) {
+        try {
+            const body = {
+                action: 'emailTranscript',
+                sessionId: this.sessionId,
+                email: email,
+                transcript: this.getTranscript(),
+                text: this.formatTranscript('txt'),
+                timestamp: new Date().toISOString(),
+                locale: this.locale,
+                source: 'website'
+            };
+            if (Object.keys(this.visitor).length > 0) {
+                body.visitor = this.visitor;
+            }
+            
+            const response = await this.authorizedFetch(this.options.webhookUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            this.emit('transcriptExport', { format: 'email', email: email });
+            return true;
+        } catch (error) {
+            this.log('error', 'Error emailing the transcript:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Toggle the chat window visibility
+     */
+    toggleChat() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    /**
+     * Whether the chat window is currently shown
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !this.chatWindow.hidden;
+    }
+    
+    /**
+     * Open the chat window
+     */
+    open() {
+        if (this.isOpen()) return;
+        
+        this.chatWindow.hidden = false;
+        // The page behind the floating dialog is out of reach while it is open (see the focus trap)
+        this.chatWindow.setAttribute('aria-modal', 'true');
+        this.bubbleButton.setAttribute('aria-expanded', 'true');
+        this.updateComposer();
+        this.hideTeaser();
+        this.unreadCount = 0;
+        this.updateUnreadBadge();
+        this.stopTitleBlink();
+        this.emit('open');
+        
+        // Move focus into the dialog
+        if (this.leadForm) {
+            this.leadForm.querySelector('input').focus();
+        } else {
+            this.messageInput.focus();
+        }
+        
+        // Scroll to bottom when opening chat
+        setTimeout(() => {
+            this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+        }, 100);
+    }
+    
+    /**
+     * Close the chat window (an inline chat stays visible)
+     */
+    close() {
+        if (!this.isOpen() || this.inline) return;
+        
+        // Give focus back to the launcher if it was inside the dialog
+        const hadFocus = this.chatWindow.contains(this.root.activeElement);
+        
+        this.chatWindow.hidden = true;
+        this.chatWindow.removeAttribute('aria-modal');
+        this.bubbleButton.setAttribute('aria-expanded', 'false');
+        this.updateUnreadBadge();
+        this.emit('close');
+        
+        if (hadFocus) {
+            this.bubbleButton.focus();
+        }
+    }
+    
+    /**
+     * Keyboard handling inside the chat window: Escape closes it (or an open menu or panel) and Tab
+     * cycles through its controls without leaving the dialog
+     * @param {KeyboardEvent} e - The keydown event
+     */
+    handleWindowKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            // The transcript menu and the diagnostics panel are closed first
+            if (this.transcriptMenu) {
+                this.toggleTranscriptMenu(false);
+                this.transcriptButton.focus();
+            } else if (this.diagnosticsPanel) {
+                this.toggleDiagnostics(false);
+            } else {
+                this.close();
+            }
+            return;
+        }
+        
+        // Focus is only kept inside the floating dialog, an inline chat is part of the page
+        if (e.key !== 'Tab' || this.inline) return;
+        
+        const focusable = Array.from(this.chatWindow.querySelectorAll(
+            'button, a[href], input, textarea, select, [tabindex]:not([tabindex="-1"])'
+        )).filter(element => !element.disabled && !element.closest('[hidden]'));
+        if (focusable.length === 0) return;
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = this.root.activeElement;
+        
+        if (e.shiftKey && (active === first || !this.chatWindow.contains(active))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    /**
+     * Show a message from the assistant without contacting the webhook
+     * @param {string|Object|Array} content - Markdown text, a structured block or a list of blocks
+     */
+    addBotMessage(content) {
+        if (Array.isArray(content)) {
+            this.renderResponseBlocks(content);
+        } else {
+            this.addBlock(content);
+        }
+    }
+    
+    /**
+     * Attach details of the visitor (e.g. a logged-in shopper) to the conversation
+     * They are stored, merged with earlier details and sent as "visitor" in every payload
+     * @param {Object} data - e.g. { userId, email, name, phone }
+     * @returns {ChatBubbleWidget} The widget, for chaining
+     */
+    identify(data = {}) {
+        this.visitor = {
+            ...this.visitor,
+            ...data
+        };
+        this.saveVisitor();
+        this.emit('identify', { visitor: this.visitor });
+        
+        // Known visitors skip the pre-chat form; otherwise it is prefilled with what is known
+        if (this.leadForm && this.isLeadComplete()) {
+            this.hideLeadForm();
+        } else if (this.leadForm) {
+            Object.keys(data).forEach(name => {
+                const input = this.leadForm.elements[name];
+                if (input && input.type !== 'checkbox' && !input.value && data[name] !== undefined && data[name] !== null) {
+                    input.value = String(data[name]);
+                }
+            });
+        }
+        return this;
+    }
+    
+    /**
+     * Load the visitor details stored by identify() (none without consent)
+     * @returns {Object}
+     */
+    loadVisitor() {
+        if (!this.consentGranted) {
+            return {};
+        }
+        
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey('visitor')));
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (error) {
+            this.log('warn', 'Could not load visitor details:', error);
+            return {};
+        }
+    }
+    
+    /**
+     * Store the visitor details for the next page load
+     */
+    saveVisitor() {
+        if (!this.consentGranted) {
+            return;
+        }
+        
+        try {
+            localStorage.setItem(this.storageKey('visitor'), JSON.stringify(this.visitor));
+        } catch (error) {
+            this.log('warn', 'Could not save visitor details:', error);
+        }
+    }
+    
+    /**
+     * Resolve the preChatForm option
+     * @returns {Object|null} { fields, requireOneOf, consent } or null when the form is disabled
+     */
+    getLeadFormConfig() {
+        const config = this.options.preChatForm;
+        if (!config) {
+            return null;
+        }
+        
+        const custom = config === true ? {} : config;
+        return {
+            fields: custom.fields || ChatBubbleWidget.leadFields,
+            // The default form needs at least one way to contact the visitor
+            requireOneOf: custom.requireOneOf || (custom.fields ? null : ['email', 'phone']),
+            consent: custom.consent === false ? null : {
+                required: true,
+                label: null,
+                privacyUrl: null,
+                ...custom.consent
+            }
+        };
+    }
+    
+    /**
+     * Whether the visitor details already satisfy the pre-chat form
+     * @returns {boolean}
+     */
+    isLeadComplete() {
+        const config = this.getLeadFormConfig();
+        if (!config) {
+            return true;
+        }
+        
+        const hasValue = name => this.visitor[name] !== undefined && this.visitor[name] !== null &&
+                                 String(this.visitor[name]).trim() !== '';
+        
+        if (config.fields.some(field => field.required && !hasValue(field.name))) {
+            return false;
+        }
+        if (config.requireOneOf && !config.requireOneOf.some(hasValue)) {
+            return false;
+        }
+        return !(config.consent && config.consent.required && !this.visitor.consent);
+    }
+    
+    /**
+     * Show the pre-chat form in place of the conversation until it is submitted
+     * Can also be called during a conversation to ask for the details later
+     */
+    showLeadForm() {
+        const config = this.getLeadFormConfig();
+        if (!config || this.leadForm) return;
+        
+        const form = document.createElement('form');
+        form.className = 'chat-lead-form';
+        form.noValidate = true;
+        
+        const intro = document.createElement('p');
+        intro.className = 'chat-lead-intro';
+        intro.textContent = this.t('preChatIntro');
+        form.appendChild(intro);
+        
+        config.fields.forEach(field => form.appendChild(this.createLeadField(field)));
+        
+        // LGPD/GDPR consent checkbox with an optional link to the privacy policy
+        if (config.consent) {
+            const consentField = document.createElement('div');
+            consentField.className = 'chat-lead-field chat-lead-consent';
+            
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.name = 'consent';
+            checkbox.id = 'chat-lead-consent';
+            checkbox.checked = !!this.visitor.consent;
+            checkbox.required = config.consent.required;
+            label.appendChild(checkbox);
+            
+            const text = document.createElement('span');
+            text.textContent = config.consent.label || this.t('preChatConsent');
+            label.appendChild(text);
+            consentField.appendChild(label);
+            
+            const privacyLink = config.consent.privacyUrl ? this.createSafeLink(config.consent.privacyUrl) : null;
+            if (privacyLink) {
+                privacyLink.className = 'chat-lead-privacy';
+                privacyLink.textContent = this.t('privacyPolicy');
+                consentField.appendChild(privacyLink);
+            }
+            
+            consentField.appendChild(this.createLeadError(checkbox));
+            form.appendChild(consentField);
+        }
+        
+        const submitButton = document.createElement('button');
+        submitButton.type = 'submit';
+        submitButton.className = 'chat-lead-submit';
+        submitButton.textContent = this.t('preChatSubmit');
+        form.appendChild(submitButton);
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitLeadForm(config);
+        });
+        
+        this.leadForm = form;
+        this.messagesContainer.hidden = true;
+        this.inputArea.hidden = true;
+        this.chatWindow.insertBefore(form, this.messagesContainer);
+    }
+    
+    /**
+     * Remove the pre-chat form and show the conversation again
+     */
+    hideLeadForm() {
+        if (!this.leadForm) return;
+        
+        const hadFocus = this.leadForm.contains(this.root.activeElement);
+        this.leadForm.remove();
+        this.leadForm = null;
+        this.messagesContainer.hidden = false;
+        this.inputArea.hidden = !!this.offlineForm;
+        
+        if (hadFocus) {
+            this.messageInput.focus();
+        }
+    }
+    
+    /**
+     * Create a labelled input of the pre-chat form, prefilled from the visitor details
+     * @param {Object} field - { name, label, type, required, placeholder, autocomplete, pattern, errorMessage, validate }
+     * @param {string} [idPrefix] - Prefix of the input ID, unique per form
+     * @returns {HTMLElement}
+     */
+    createLeadField(field, idPrefix = 'chat-lead') {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'chat-lead-field';
+        
+        const input = document.createElement(field.type === 'textarea' ? 'textarea' : 'input');
+        input.id = `${idPrefix}-${field.name}`;
+        input.name = field.name;
+        if (field.type !== 'textarea') {
+            input.type = field.type || 'text';
+        }
+        input.required = !!field.required;
+        input.value = this.visitor[field.name] !== undefined ? String(this.visitor[field.name]) : '';
+        if (field.placeholder) {
+            input.placeholder = field.placeholder;
+        }
+        if (field.autocomplete) {
+            input.autocomplete = field.autocomplete;
+        }
+        
+        const labelKeys = { name: 'fieldName', email: 'fieldEmail', phone: 'fieldPhone', message: 'fieldMessage' };
+        const label = document.createElement('label');
+        label.htmlFor = input.id;
+        label.textContent = field.label || (labelKeys[field.name] ? this.t(labelKeys[field.name]) : field.name);
+        if (field.required) {
+            const marker = document.createElement('span');
+            marker.className = 'chat-lead-required';
+            marker.setAttribute('aria-hidden', 'true');
+            marker.textContent = ' *';
+            label.appendChild(marker);
+        }
+        
+        wrapper.appendChild(label);
+        wrapper.appendChild(input);
+        wrapper.appendChild(this.createLeadError(input));
+        return wrapper;
+    }
+    
+    /**
+     * Create the (initially hidden) error message of a form input
+     * @param {HTMLInputElement} input - The input it describes
+     * @returns {HTMLElement}
+     */
+    createLeadError(input) {
+        const error = document.createElement('div');
+        error.className = 'chat-lead-error';
+        error.id = `${input.id}-error`;
+        error.hidden = true;
+        input.setAttribute('aria-describedby', error.id);
+        return error;
+    }
+    
+    /**
+     * Show or clear the error message of a form input
+     * @param {HTMLInputElement} input - The input
+     * @param {string|null} message - Error message, or null when the value is valid
+     */
+    setLeadFieldError(input, message) {
+        const error = this.root.getElementById(`${input.id}-error`);
+        error.textContent = message || '';
+        error.hidden = !message;
+        input.setAttribute('aria-invalid', message ? 'true' : 'false');
+    }
+    
+    /**
+     * Validate a value of the pre-chat form
+     * @param {Object} field - Field definition
+     * @param {string} value - Trimmed value
+     * @returns {string|null} Error message, or null when the value is valid
+     */
+    validateLeadField(field, value) {
+        if (!value) {
+            return field.required ? this.t('fieldRequired') : null;
+        }
+        
+        if (field.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+            return this.t('invalidEmail');
+        }
+        if (field.type === 'tel' && !/^\+?[\d\s().-]{6,20}$/.test(value)) {
+            return this.t('invalidPhone');
+        }
+        if (field.pattern && !new RegExp(`^(?:${field.pattern})$`).test(value)) {
+            return field.errorMessage || this.t('invalidField');
+        }
+        if (typeof field.validate === 'function') {
+            const result = field.validate(value);
+            if (typeof result === 'string') {
+                return result;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Validate the pre-chat form and, when valid, identify the visitor with its values
+     * @param {Object} config - Resolved form options from getLeadFormConfig()
+     */
+    submitLeadForm(config) {
+        const values = {};
+        const invalid = [];
+        
+        config.fields.forEach(field => {
+            const input = this.leadForm.elements[field.name];
+            const value = input.value.trim();
+            const error = this.validateLeadField(field, value);
+            this.setLeadFieldError(input, error);
+            if (error) {
+                invalid.push(input);
+            } else if (value) {
+                values[field.name] = value;
+            }
+        });
+        
+        // At least one of the contact fields (e.g. email or phone) must be filled
+        if (config.requireOneOf && !config.requireOneOf.some(name => values[name])) {
+            const inputs = config.requireOneOf.map(name => this.leadForm.elements[name]).filter(Boolean);
+            const labels = inputs.map(input => this.leadForm.querySelector(`label[for="${input.id}"]`).firstChild.textContent);
+            if (inputs.length > 0 && !invalid.includes(inputs[0])) {
+                this.setLeadFieldError(inputs[0], this.t('contactRequired', { fields: labels.join(', ') }));
+                invalid.push(inputs[0]);
+            }
+        }
+        
+        if (config.consent) {
+            const checkbox = this.leadForm.elements.consent;
+            const missing = config.consent.required && !checkbox.checked;
+            this.setLeadFieldError(checkbox, missing ? this.t('consentRequired') : null);
+            if (missing) {
+                invalid.push(checkbox);
+            }
+            values.consent = checkbox.checked;
+            if (checkbox.checked) {
+                values.consentAt = new Date().toISOString();
+            }
+        }
+        
+        if (invalid.length > 0) {
+            invalid[0].focus();
+            return;
+        }
+        
+        this.identify(values);
+        this.emit('leadCaptured', { visitor: this.visitor });
+        this.hideLeadForm();
+        this.messageInput.focus();
+    }
+    
+    /**
+     * Count this visit once per browser session, for the 'returning' trigger
+     * @returns {number} Number of visits including this one (1 without consent)
+     */
+    trackVisit() {
+        if (!this.consentGranted) {
+            return 1;
+        }
+        
+        try {
+            let visits = parseInt(localStorage.getItem(this.storageKey('visits')), 10) || 0;
+            if (!sessionStorage.getItem(this.storageKey('visit_counted'))) {
+                visits++;
+                localStorage.setItem(this.storageKey('visits'), String(visits));
+                sessionStorage.setItem(this.storageKey('visit_counted'), '1');
+            }
+            return Math.max(visits, 1);
+        } catch (error) {
+            return 1;
+        }
+    }
+    
+    /**
+     * Arm the proactive triggers from the triggers option; each one shows a teaser once per page:
+     *   { type: 'time', seconds }        after some time on the page
+     *   { type: 'scroll', percent }      once the page is scrolled that far
+     *   { type: 'exitIntent' }           when the mouse leaves through the top of the page
+     *   { type: 'url', delay }           on pages matching the url pattern
+     *   { type: 'returning', visits, delay }  for visitors on their second (or nth) visit
+     * Every trigger takes a teaser message and may be limited to some pages with
+     * url ('/checkout*', a full URL with * wildcards, a RegExp or an array of them).
+     * An inline chat has no launcher to show a teaser next to, so it has no triggers
+     */
+    startTriggers() {
+        this.triggerCleanups = [];
+        if (this.inline) return;
+        
+        (this.options.triggers || []).forEach(trigger => {
+            if (trigger.url && !this.matchesUrl(trigger.url)) return;
+            
+            const fire = () => this.fireTrigger(trigger);
+            const later = seconds => {
+                const timer = setTimeout(fire, seconds * 1000);
+                this.triggerCleanups.push(() => clearTimeout(timer));
+            };
+            
+            switch (trigger.type) {
+                case 'time':
+                    later(trigger.seconds !== undefined ? trigger.seconds : 30);
+                    break;
+                case 'scroll': {
+                    const onScroll = () => {
+                        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+                        const depth = scrollable > 0 ? window.scrollY / scrollable * 100 : 100;
+                        if (depth >= (trigger.percent || 50)) {
+                            window.removeEventListener('scroll', onScroll);
+                            fire();
+                        }
+                    };
+                    window.addEventListener('scroll', onScroll, { passive: true });
+                    this.triggerCleanups.push(() => window.removeEventListener('scroll', onScroll));
+                    break;
+                }
+                case 'exitIntent': {
+                    const onMouseOut = (e) => {
+                        if (!e.relatedTarget && e.clientY <= 0) {
+                            document.removeEventListener('mouseout', onMouseOut);
+                            fire();
+                        }
+                    };
+                    document.addEventListener('mouseout', onMouseOut);
+                    this.triggerCleanups.push(() => document.removeEventListener('mouseout', onMouseOut));
+                    break;
+                }
+                case 'url':
+                    later(trigger.delay || 0);
+                    break;
+                case 'returning':
+                    if (this.visitCount >= (trigger.visits || 2)) {
+                        later(trigger.delay || 0);
+                    }
+                    break;
+                default:
+                    this.log('warn', 'Unknown trigger type:', trigger.type);
+            }
+        });
+    }
+    
+    /**
+     * Disarm the proactive triggers
+     */
+    stopTriggers() {
+        (this.triggerCleanups || []).forEach(cleanup => cleanup());
+        this.triggerCleanups = [];
+    }
+    
+    /**
+     * Whether the current page matches a URL pattern
+     * @param {string|RegExp|Array} pattern - Patterns starting with '/' match the path and query,
+     *                                        others the full URL; * matches anything
+     * @returns {boolean}
+     */
+    matchesUrl(pattern) {
+        if (Array.isArray(pattern)) {
+            return pattern.some(item => this.matchesUrl(item));
+        }
+        if (typeof pattern !== 'string') {
+            return pattern.test(window.location.href);
+        }
+        
+        const target = pattern.startsWith('/') ? window.location.pathname + window.location.search : window.location.href;
+        // Escape everything but the * wildcards
+        const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${source}$`).test(target);
+    }
+    
+    /**
+     * Show the teaser of a trigger unless the frequency cap has been reached
+     * @param {Object} trigger - The trigger that fired
+     */
+    fireTrigger(trigger) {
+        if (this.isOpen() || this.teaser || !this.canShowTeaser()) return;
+        
+        this.showTeaser(trigger.message || this.t('teaserMessage'));
+        this.emit('trigger', { trigger: trigger });
+    }
+    
+    /**
+     * Check the teaser frequency cap: teaserMaxPerSession per browser session and
+     * teaserInterval between teasers (remembered across visits only with consent)
+     * @returns {boolean}
+     */
+    canShowTeaser() {
+        const { shown, lastShownAt } = this.getTeaserStats();
+        return shown < this.options.teaserMaxPerSession && Date.now() - lastShownAt >= this.options.teaserInterval;
+    }
+    
+    /**
+     * Read the teaser counters
+     * @returns {Object} { shown: teasers this session, lastShownAt: timestamp of the last one }
+     */
+    getTeaserStats() {
+        if (!this.consentGranted) {
+            return this.teaserStats || { shown: 0, lastShownAt: 0 };
+        }
+        
+        try {
+            return {
+                shown: parseInt(sessionStorage.getItem(this.storageKey('teasers')), 10) || 0,
+                lastShownAt: parseInt(localStorage.getItem(this.storageKey('teaser_at')), 10) || 0
+            };
+        } catch (error) {
+            return this.teaserStats || { shown: 0, lastShownAt: 0 };
+        }
+    }
+    
+    /**
+     * Count a shown teaser against the frequency cap
+     */
+    recordTeaser() {
+        const stats = this.getTeaserStats();
+        this.teaserStats = { shown: stats.shown + 1, lastShownAt: Date.now() };
+        
+        if (!this.consentGranted) return;
+        try {
+            sessionStorage.setItem(this.storageKey('teasers'), String(this.teaserStats.shown));
+            localStorage.setItem(this.storageKey('teaser_at'), String(this.teaserStats.lastShownAt));
+        } catch (error) {
+            this.log('warn', 'Could not store the teaser count:', error);
+        }
+    }
+    
+    /**
+     * Show a teaser message next to the launcher; clicking it opens the chat with the
+     * message as the first bot reply
+     * @param {string} text - Teaser text
+     */
+    showTeaser(text) {
+        this.hideTeaser();
+        this.recordTeaser();
+        
+        this.teaser = document.createElement('div');
+        this.teaser.className = 'chat-teaser';
+        
+        const textButton = document.createElement('button');
+        textButton.type = 'button';
+        textButton.className = 'chat-teaser-text';
+        textButton.textContent = text;
+        textButton.addEventListener('click', () => {
+            this.hideTeaser();
+            // Opened first, so the teaser the visitor just read is not notified again
+            this.open();
+            this.addMessage(text, 'bot', { system: true });
+        });
+        
+        const dismissButton = document.createElement('button');
+        dismissButton.type = 'button';
+        dismissButton.className = 'chat-teaser-close';
+        dismissButton.setAttribute('aria-label', this.t('dismissTeaser'));
+        dismissButton.innerHTML = '<span aria-hidden="true">&times;</span>';
+        dismissButton.addEventListener('click', () => this.hideTeaser());
+        
+        this.teaser.appendChild(textButton);
+        this.teaser.appendChild(dismissButton);
+        this.container.insertBefore(this.teaser, this.bubbleButton);
+        
+        this.playNotificationSound();
+    }
+    
+    /**
+     * Remove the teaser, if shown
+     */
+    hideTeaser() {
+        if (this.teaser) {
+            this.teaser.remove();
+            this.teaser = null;
+        }
+    }
+    
+    /**
+     * Count an incoming bot message as unread and notify the visitor when the
+     * window is closed or the tab is in the background
+     */
+    notifyIncoming() {
+        const closed = !this.isOpen();
+        if (!closed && !document.hidden) return;
+        
+        if (closed) {
+            this.unreadCount++;
+            this.updateUnreadBadge();
+        }
+        this.playNotificationSound();
+        this.startTitleBlink();
+    }
+    
+    /**
+     * Show the unread count on the launcher and include it in its label
+     */
+    updateUnreadBadge() {
+        const count = this.isOpen() ? 0 : this.unreadCount;
+        this.unreadBadge.textContent = count > 9 ? '9+' : String(count);
+        this.unreadBadge.hidden = count === 0;
+        
+        let label = this.t('openChat');
+        if (this.isOpen()) {
+            label = this.t('closeChat');
+        } else if (count > 0) {
+            label = this.t('openChatUnread', { count: count });
+        }
+        this.bubbleButton.setAttribute('aria-label', label);
+    }
+    
+    /**
+     * Play the notificationSound: a short beep, or the given audio file
+     */
+    playNotificationSound() {
+        const sound = this.options.notificationSound;
+        if (!sound) return;
+        
+        try {
+            if (typeof sound === 'string') {
+                // Browsers refuse to play audio before the visitor has interacted with the page
+                new Audio(sound).play().catch(() => {});
+                return;
+            }
+            
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+            
+            this.audioContext = this.audioContext || new AudioContextClass();
+            const oscillator = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+            oscillator.frequency.value = 880;
+            gain.gain.setValueAtTime(0.1, this.audioContext.currentTime);
+            gain.gain.exponentialRampToValueAtTime(0.001, this.audioContext.currentTime + 0.3);
+            oscillator.connect(gain);
+            gain.connect(this.audioContext.destination);
+            oscillator.start();
+            oscillator.stop(this.audioContext.currentTime + 0.3);
+        } catch (error) {
+            this.log('warn', 'Could not play the notification sound:', error);
+        }
+    }
+    
+    /**
+     * Alternate the page title with a new-message notice (titleBlink option)
+     */
+    startTitleBlink() {
+        if (!this.options.titleBlink || this.titleBlinkTimer) return;
+        
+        this.originalTitle = document.title;
+        let showNotice = true;
+        this.titleBlinkTimer = setInterval(() => {
+            document.title = showNotice
+                ? this.t('newMessageTitle', { count: Math.max(this.unreadCount, 1) })
+                : this.originalTitle;
+            showNotice = !showNotice;
+        }, 1000);
+    }
+    
+    /**
+     * Stop the title blink and restore the page title
+     */
+    stopTitleBlink() {
+        if (!this.titleBlinkTimer) return;
+        
+        clearInterval(this.titleBlinkTimer);
+        this.titleBlinkTimer = null;
+        document.title = this.originalTitle;
+    }
+    
+    /**
+     * Availability according to the businessHours option
+     * A range ending before it starts (e.g. '22:00-02:00') runs past midnight into the next day
+     * @param {Date} [date] - Moment to check, defaults to now
+     * @returns {string} 'online' or 'offline' ('online' without a schedule)
+     */
+    getScheduledStatus(date = new Date()) {
+        const businessHours = this.options.businessHours;
+        if (!businessHours) {
+            return 'online';
+        }
+        
+        // Weekday, date and time in the business's timezone (the local one if it is not valid)
+        const formatOptions = {
+            timeZone: businessHours.timezone,
+            weekday: 'short',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        };
+        let format;
+        try {
+            format = new Intl.DateTimeFormat('en-US', formatOptions);
+        } catch (error) {
+            if (this.invalidTimezone !== businessHours.timezone) {
+                this.invalidTimezone = businessHours.timezone;
+                this.log('warn', `Invalid businessHours timezone "${businessHours.timezone}", using the local timezone`);
+            }
+            format = new Intl.DateTimeFormat('en-US', { ...formatOptions, timeZone: undefined });
+        }
+        
+        const parts = {};
+        format.formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        const day = `${parts.year}-${parts.month}-${parts.day}`;
+        const time = `${parts.hour}:${parts.minute}`;
+        
+        // Holidays are full dates or MM-DD for every year
+        if ((businessHours.holidays || []).some(holiday => holiday === day || holiday === day.substring(5))) {
+            return 'offline';
+        }
+        
+        const schedule = businessHours.schedule || {};
+        const weekdays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+        const weekday = weekdays.indexOf(parts.weekday.toLowerCase());
+        const parseRanges = (name) => [].concat(schedule[name] || [])
+            .map(range => range.split('-').map(value => value.trim().padStart(5, '0')));
+        
+        // Today's ranges, and the part after midnight of yesterday's overnight ranges
+        const openToday = parseRanges(weekdays[weekday]).some(([start, end]) => (
+            end > start ? time >= start && time < end : time >= start
+        ));
+        const openSinceYesterday = parseRanges(weekdays[(weekday + 6) % 7]).some(([start, end]) => (
+            end <= start && time < end
+        ));
+        return openToday || openSinceYesterday ? 'online' : 'offline';
+    }
+    
+    /**
+     * Follow the business hours and the live status when configured, replacing any running timer
+     */
+    startStatusTimer() {
+        clearInterval(this.statusTimer);
+        this.statusTimer = null;
+        
+        if (this.options.businessHours || this.options.statusCheck) {
+            this.refreshStatus();
+            this.statusTimer = setInterval(() => this.refreshStatus(),
+                                           this.options.statusCheck ? this.options.statusInterval : 60 * 1000);
+        }
+    }
+    
+    /**
+     * Update the status from the webhook (statusCheck) or else from the schedule
+     * @returns {Promise<string>} The new status
+     */
+    async refreshStatus() {
+        if (this.options.statusCheck) {
+            try {
+                const response = await this.authorizedFetch(this.options.webhookUrl, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        action: 'status',
+                        sessionId: this.sessionId,
+                        source: 'website'
+                    })
+                });
+                
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                
+                const data = await response.json();
+                if (data && ['online', 'away', 'offline'].includes(data.status)) {
+                    this.setStatus(data.status, data.message);
+                    return this.status;
+                }
+                this.log('warn', 'Unexpected status response:', data);
+            } catch (error) {
+                this.log('warn', 'Could not get the status from the webhook, using the schedule:', error);
+            }
+        }
+        
+        this.setStatus(this.getScheduledStatus());
+        return this.status;
+    }
+    
+    /**
+     * Current availability
+     * @returns {string} 'online', 'away' or 'offline'
+     */
+    getStatus() {
+        return this.status;
+    }
+    
+    /**
+     * Change the availability shown in the header, e.g. from the helpdesk's presence
+     * @param {string} status - 'online', 'away' or 'offline'
+     * @param {string} [message] - Subtitle replacing the default text of the status
+     */
+    setStatus(status, message = null) {
+        if (!['online', 'away', 'offline'].includes(status)) {
+            this.log('warn', 'Unknown status:', status);
+            return;
+        }
+        
+        const changed = status !== this.status;
+        this.status = status;
+        this.statusMessage = message || null;
+        this.renderStatus();
+        
+        if (changed) {
+            this.emit('statusChange', { status: status });
+        }
+    }
+    
+    /**
+     * Show the status in the header and switch between the composer and the offline form
+     */
+    renderStatus() {
+        const texts = {
+            online: ['headerOnline', 'headerSubtitle'],
+            away: ['headerAway', 'subtitleAway'],
+            offline: ['headerOffline', 'subtitleOffline']
+        }[this.status];
+        
+        this.headerTitle.textContent = this.t(texts[0], { name: this.options.assistantName });
+        this.headerSubtitle.textContent = this.statusMessage || this.t(texts[1]);
+        this.presenceDot.className = `chat-presence-dot chat-presence-${this.status}`;
+        
+        if (this.status === 'offline' && this.options.offlineForm) {
+            this.showOfflineForm();
+        } else {
+            this.hideOfflineForm();
+        }
+    }
+    
+    /**
+     * Replace the composer with a contact form while nobody is available
+     */
+    showOfflineForm() {
+        if (this.offlineForm) return;
+        
+        // The contact form already asks for the visitor's details
+        this.hideLeadForm();
+        
+        const form = document.createElement('form');
+        form.className = 'chat-offline-form';
+        form.noValidate = true;
+        
+        const intro = document.createElement('p');
+        intro.className = 'chat-lead-intro';
+        intro.textContent = this.t('offlineIntro');
+        form.appendChild(intro);
+        
+        ChatBubbleWidget.offlineFields.forEach(field => form.appendChild(this.createLeadField(field, 'chat-offline')));
+        
+        const formError = document.createElement('div');
+        formError.className = 'chat-lead-error';
+        formError.setAttribute('role', 'alert');
+        formError.hidden = true;
+        form.appendChild(formError);
+        
+        const submitButton = document.createElement('button');
+        submitButton.type = 'submit';
+        submitButton.className = 'chat-lead-submit';
+        submitButton.textContent = this.t('offlineSubmit');
+        form.appendChild(submitButton);
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitOfflineForm(formError, submitButton);
+        });
+        
+        this.offlineForm = form;
+        this.inputArea.hidden = true;
+        this.chatWindow.insertBefore(form, this.inputArea);
+    }
+    
+    /**
+     * Remove the offline form and show the composer again
+     */
+    hideOfflineForm() {
+        if (!this.offlineForm) return;
+        
+        this.offlineForm.remove();
+        this.offlineForm = null;
+        this.inputArea.hidden = !!this.leadForm;
+    }
+    
+    /**
+     * Validate the offline form and send it to the webhook as { action: 'offlineMessage' }
+     * @param {HTMLElement} formError - Element for an error of the request
+     * @param {HTMLButtonElement} submitButton - Disabled while sending
+     */
+    async submitOfflineForm(formError, submitButton) {
+        const form = this.offlineForm;
+        const values = {};
+        const invalid = [];
+        
+        ChatBubbleWidget.offlineFields.forEach(field => {
+            const input = form.elements[field.name];
+            const value = input.value.trim();
+            const error = this.validateLeadField(field, value);
+            this.setLeadFieldError(input, error);
+            if (error) {
+                invalid.push(input);
+            } else {
+                values[field.name] = value;
+            }
+        });
+        
+        if (invalid.length > 0) {
+            invalid[0].focus();
+            return;
+        }
+        
+        formError.hidden = true;
+        submitButton.disabled = true;
+        
+        try {
+            const body = {
+                action: 'offlineMessage',
+                sessionId: this.sessionId,
+                name: values.name,
+                email: values.email,
+                message: values.message,
+                timestamp: new Date().toISOString(),
+                pageUrl: this.getPageUrl(),
+                locale: this.locale,
+                source: 'website'
+            };
+            if (Object.keys(this.visitor).length > 0) {
+                body.visitor = this.visitor;
+            }
+            
+            const response = await this.authorizedFetch(this.options.webhookUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            // Remember the contact details and keep the message in the conversation
+            this.identify({ name: values.name, email: values.email });
+            this.addMessage(values.message, 'user');
+            this.addMessage(this.t('offlineThanks'), 'bot', { system: true });
+            form.elements.message.value = '';
+            this.emit('offlineMessage', { name: values.name, email: values.email, message: values.message });
+        } catch (error) {
+            this.log('error', 'Error sending offline message:', error);
+            formError.textContent = this.t('offlineSendError');
+            formError.hidden = false;
+        } finally {
+            submitButton.disabled = false;
+        }
+    }
+    
+    /**
+     * Start a new conversation: abort the pending reply, forget the stored
+     * transcript and switch to a new session ID
+     */
+    clearConversation() {
+        this.cancelReply();
+        clearTimeout(this.pendingReplyTimer);
+        this.setReplyPending(false);
+        
+        try {
+            localStorage.removeItem(this.getHistoryKey());
+            localStorage.removeItem(this.getDraftKey());
+        } catch (error) {
+            this.log('warn', 'Could not remove chat history:', error);
+        }
+        
+        this.sessionId = this.createSessionId();
+        this.history = [];
+        this.removeLoadingIndicators();
+        this.removeQuickReplies();
+        this.clearRenderedMessages();
+        
+        // Pushed messages are tied to the session, so reconnect with the new one
+        this.transport.disconnect();
+        this.transport.connect();
+    }
+    
+    /**
+     * Change options at runtime and rebuild the widget with them
+     * The conversation, the typed text and the open state are kept; the id cannot be changed
+     * @param {Object} options - Options to change
+     */
+    updateOptions(options = {}) {
+        const wasOpen = this.isOpen();
+        const draft = this.messageInput.value;
+        
+        // The session and stored data were loaded under the current id, which also names them
+        const { id, ...changes } = options;
+        if ('id' in options && id !== this.options.id) {
+            this.log('warn', 'The id option cannot be changed after the widget is created, create a new widget instead');
+        }
+        
+        this.options = {
+            ...this.options,
+            ...changes
+        };
+        
+        this.removeDom();
+        this.init();
+        this.setComposerText(draft);
+        if (wasOpen) {
+            this.chatWindow.hidden = false;
+            if (!this.inline) {
+                this.chatWindow.setAttribute('aria-modal', 'true');
+            }
+            this.bubbleButton.setAttribute('aria-expanded', 'true');
+            this.updateUnreadBadge();
+        }
+        
+        if ('triggers' in options) {
+            this.stopTriggers();
+            this.startTriggers();
+        }
+        
+        // Follow the new schedule or interval, or go back online when neither is set any more
+        const statusOptions = ['businessHours', 'statusCheck', 'statusInterval', 'webhookUrl'];
+        if (statusOptions.some(key => key in options)) {
+            this.startStatusTimer();
+            if (!this.statusTimer) {
+                this.setStatus(this.getScheduledStatus());
+            }
+        }
+        
+        // Switch to the new transport or endpoints
+        const transportOptions = ['transport', 'webhookUrl', 'socketUrl', 'pollUrl', 'pollTimeout'];
+        if (transportOptions.some(key => key in options)) {
+            this.transport.disconnect();
+            this.transport = this.createTransport();
+            this.transport.connect();
+        }
+    }
+    
+    /**
+     * Remove the widget's DOM (the shadow host, including its stylesheets)
+     */
+    removeDom() {
+        this.host.remove();
+    }
+    
+    /**
+     * Remove the widget from the page: aborts the pending reply, closes the transport,
+     * removes the DOM and the window listeners. The stored conversation is kept for the next page load.
+     */
+    destroy() {
+        this.cancelReply();
+        this.transport.disconnect();
+        clearTimeout(this.pendingReplyTimer);
+        this.stopTriggers();
+        this.stopTitleBlink();
+        clearInterval(this.statusTimer);
+        this.removeDom();
+        window.removeEventListener('online', this.handleOnline);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.outbox = [];
+        this.listeners = {};
+        
+        ChatBubbleWidget.instances.delete(this);
+        
+        // The global ChatBubble() API may install a new widget
+        if (ChatBubbleWidget.installed === this) {
+            ChatBubbleWidget.installed = null;
+            ChatBubbleWidget.installing = null;
+        }
+    }
+    
+    /**
+     * Add a message to the chat window
+     * @param {string} text - Message text
+     * @param {string} sender - 'user' or 'bot'
+     * @param {Object} [meta] - { persist: false } to skip the history, { id, timestamp, feedback } of a restored
+     *                          message, { attachments } shown in a user message, { system: true } for transient
+     *                          notices without ID, time or actions that are never saved (e.g. the welcome message)
+     */
+    addMessage(text, sender, meta = {}) {
+        const messageId = meta.system ? null : (meta.id || this.createMessageId());
+        const timestamp = meta.timestamp || new Date().toISOString();
+        if (messageId) {
+            this.addDaySeparator(timestamp);
+        }
+        
+        const messageContainer = this.createMessageContainer(sender);
+        
+        const messageElement = document.createElement('div');
+        messageElement.className = `chat-message ${sender}-message`;
+        
+        this.setMessageContent(messageElement, text, sender);
+        if (meta.attachments && meta.attachments.length > 0) {
+            messageElement.appendChild(this.createAttachmentList(meta.attachments));
+        }
+        messageContainer.appendChild(messageElement);
+        
+        // Time, delivery status and actions below the bubble
+        if (messageId) {
+            messageContainer.dataset.messageId = messageId;
+            messageContainer.appendChild(this.createMessageMeta(messageContainer, sender, timestamp, {
+                feedback: meta.feedback,
+                getText: () => this.getMessageText(messageContainer)
+            }));
+        }
+        this.messagesContainer.appendChild(messageContainer);
+        
+        // Record the message in the transcript (attachments by name only)
+        if (meta.persist !== false && !meta.system) {
+            const extra = { id: messageId };
+            if (meta.attachments && meta.attachments.length > 0) {
+                extra.attachments = meta.attachments.map(({ name, type, size }) => ({ name, type, size }));
+            }
+            this.recordHistory(text, sender, timestamp, extra);
+        }
+        
+        // Scroll to bottom
+        this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+        
+        return messageElement;
+    }
+    
+    /**
+     * Create the row that holds a message, with the assistant avatar for bot messages
+     * @param {string} sender - 'user' or 'bot'
+     * @returns {HTMLElement} The message container (not yet attached)
+     */
+    createMessageContainer(sender) {
+        // Remove any loading indicators first when adding a bot message
+        if (sender === 'bot') {
+            this.removeLoadingIndicators();
+        }
+        
+        const messageContainer = document.createElement('div');
+        messageContainer.className = `chat-message-container ${sender}-container`;
+        
+        // For bot messages, add avatar only if it's not a consecutive bot message
+        if (sender === 'bot') {
+            // Check if the previous message was also from the bot
+            const previousMessageContainer = this.messagesContainer.lastElementChild;
+            const isConsecutiveBot = previousMessageContainer && 
+                                    previousMessageContainer.classList.contains('bot-container') &&
+                                    !previousMessageContainer.classList.contains('chat-loading-container');
+            
+            // Only add avatar if it's not a consecutive bot message
+            messageContainer.appendChild(this.createAvatarElement(!isConsecutiveBot));
+        }
+        
+        return messageContainer;
+    }
+    
+    /**
+     * Create the assistant avatar shown next to bot messages
+     * @param {boolean} visible - false for a spacer keeping consecutive messages aligned
+     * @returns {HTMLElement} The avatar image or spacer
+     */
+    createAvatarElement(visible) {
+        if (!visible) {
+            const spacerElement = document.createElement('div');
+            spacerElement.className = 'chat-avatar-spacer';
+            return spacerElement;
+        }
+        
+        const avatarElement = document.createElement('img');
+        avatarElement.className = 'chat-avatar';
+        avatarElement.src = this.options.assistantAvatarUrl;
+        avatarElement.alt = this.options.assistantName;
+        return avatarElement;
+    }
+    
+    /**
+     * Generate a client-side message ID, stable across page loads through the history
+     * @returns {string}
+     */
+    createMessageId() {
+        return `msg_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+    }
+    
+    /**
+     * ID of a rendered message
+     * @param {HTMLElement} messageElement - The message bubble (or any element inside its row)
+     * @returns {string|null}
+     */
+    getMessageId(messageElement) {
+        const messageContainer = messageElement && messageElement.closest('.chat-message-container');
+        return messageContainer ? messageContainer.dataset.messageId || null : null;
+    }
+    
+    /**
+     * Remove a rendered message and its history entry
+     * @param {HTMLElement} messageElement - The message bubble
+     */
+    removeMessage(messageElement) {
+        const messageId = this.getMessageId(messageElement);
+        if (messageId) {
+            this.history = this.history.filter(entry => entry.id !== messageId);
+            this.saveHistory();
+        }
+        
+        const messageContainer = messageElement.closest('.chat-message-container');
+        if (messageContainer) {
+            messageContainer.remove();
+        }
+    }
+    
+    /**
+     * Add a separator before the first message of a new day
+     * @param {string} timestamp - ISO time of the message about to be added
+     */
+    addDaySeparator(timestamp) {
+        const date = new Date(timestamp);
+        if (isNaN(date) || date.toDateString() === this.lastMessageDay) return;
+        this.lastMessageDay = date.toDateString();
+        
+        const separator = document.createElement('div');
+        separator.className = 'chat-day-separator';
+        separator.setAttribute('role', 'separator');
+        separator.textContent = this.formatDay(date);
+        this.messagesContainer.appendChild(separator);
+    }
+    
+    /**
+     * Label of a day separator: today, yesterday or the localized date
+     * @param {Date} date - Day to describe
+     * @returns {string}
+     */
+    formatDay(date) {
+        const yesterday = new Date();
+        yesterday.setDate(yesterday.getDate() - 1);
+        
+        if (date.toDateString() === new Date().toDateString()) {
+            return this.t('today');
+        }
+        if (date.toDateString() === yesterday.toDateString()) {
+            return this.t('yesterday');
+        }
+        return date.toLocaleDateString(this.locale, {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long',
+            year: date.getFullYear() === new Date().getFullYear() ? undefined : 'numeric'
+        });
+    }
+    
+    /**
+     * Create the line below a bubble: the time (shown on hover), the delivery status of user
+     * messages and the copy and feedback actions of bot messages
+     * @param {HTMLElement} messageContainer - Row of the message, holding its ID
+     * @param {string} sender - 'user' or 'bot'
+     * @param {string} timestamp - ISO time of the message
+     * @param {Object} options - { getText: () => text to copy, feedback: 'up' | 'down' of a restored message }
+     * @returns {HTMLElement}
+     */
+    createMessageMeta(messageContainer, sender, timestamp, options) {
+        const meta = document.createElement('div');
+        meta.className = 'chat-message-meta';
+        
+        const date = new Date(timestamp);
+        const time = document.createElement('time');
+        time.className = 'chat-message-time';
+        time.dateTime = timestamp;
+        time.title = date.toLocaleString(this.locale);
+        time.textContent = date.toLocaleTimeString(this.locale, { hour: '2-digit', minute: '2-digit' });
+        meta.appendChild(time);
+        
+        if (sender !== 'bot' || !this.options.messageActions) {
+            return meta;
+        }
+        
+        const createAction = (className, label, icon) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `chat-message-action ${className}`;
+            button.setAttribute('aria-label', label);
+            button.title = label;
+            button.innerHTML = `<svg aria-hidden="true" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor"
+                                     stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${icon}</svg>`;
+            meta.appendChild(button);
+            return button;
+        };
+        
+        const copyButton = createAction('chat-action-copy', this.t('copyMessage'),
+                                        '<rect x="9" y="9" width="13" height="13" rx="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/>');
+        copyButton.addEventListener('click', async () => {
+            try {
+                await this.copyText(options.getText());
+                copyButton.classList.add('chat-action-done');
+                copyButton.setAttribute('aria-label', this.t('copied'));
+                setTimeout(() => {
+                    copyButton.classList.remove('chat-action-done');
+                    copyButton.setAttribute('aria-label', this.t('copyMessage'));
+                }, 2000);
+            } catch (error) {
+                this.log('warn', 'Could not copy the message:', error);
+            }
+        });
+        
+        const upButton = createAction('chat-action-up', this.t('feedbackUp'),
+                                      '<path d="M7 10v12"/><path d="M15 5.88L14 10h5.83a2 2 0 0 1 1.92 2.56l-2.33 8A2 2 0 0 1 17.5 22H4a2 2 0 0 1-2-2v-8a2 2 0 0 1 2-2h2.76a2 2 0 0 0 1.79-1.11L12 2a3.13 3.13 0 0 1 3 3.88Z"/>');
+        const downButton = createAction('chat-action-down', this.t('feedbackDown'),
+                                        '<path d="M17 14V2"/><path d="M9 18.12L10 14H4.17a2 2 0 0 1-1.92-2.56l2.33-8A2 2 0 0 1 6.5 2H20a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2h-2.76a2 2 0 0 0-1.79 1.11L12 22a3.13 3.13 0 0 1-3-3.88Z"/>');
+        
+        // Pressed state of the thumbs, also restored from the history
+        let currentRating = options.feedback;
+        const showRating = (rating) => {
+            currentRating = rating;
+            upButton.setAttribute('aria-pressed', String(rating === 'up'));
+            downButton.setAttribute('aria-pressed', String(rating === 'down'));
+            messageContainer.classList.toggle('chat-feedback-given', !!rating);
+        };
+        showRating(options.feedback);
+        
+        // Clicking the current rating again changes nothing
+        upButton.addEventListener('click', () => {
+            if (currentRating === 'up') return;
+            showRating('up');
+            this.removeFeedbackForm(messageContainer);
+            this.sendFeedback(messageContainer.dataset.messageId, 'up', '', options.getText());
+        });
+        downButton.addEventListener('click', () => {
+            if (currentRating === 'down') return;
+            showRating('down');
+            if (this.options.feedbackComment) {
+                this.showFeedbackForm(messageContainer, options.getText());
+            } else {
+                this.sendFeedback(messageContainer.dataset.messageId, 'down', '', options.getText());
+            }
+        });
+        
+        return meta;
+    }
+    
+    /**
+     * Ask for an optional comment after a thumbs down; sending or skipping posts the feedback
+     * @param {HTMLElement} messageContainer - Row of the rated message
+     * @param {string} text - Text of the rated message
+     */
+    showFeedbackForm(messageContainer, text) {
+        if (messageContainer.querySelector('.chat-feedback-form')) return;
+        
+        const form = document.createElement('form');
+        form.className = 'chat-feedback-form';
+        
+        const comment = document.createElement('input');
+        comment.type = 'text';
+        comment.className = 'chat-feedback-comment';
+        comment.maxLength = 500;
+        comment.placeholder = this.t('feedbackCommentLabel');
+        comment.setAttribute('aria-label', this.t('feedbackCommentLabel'));
+        
+        const submitButton = document.createElement('button');
+        submitButton.type = 'submit';
+        submitButton.className = 'chat-feedback-submit';
+        submitButton.textContent = this.t('feedbackSubmit');
+        
+        const skipButton = document.createElement('button');
+        skipButton.type = 'button';
+        skipButton.className = 'chat-feedback-skip';
+        skipButton.textContent = this.t('feedbackSkip');
+        
+        const finish = (value) => {
+            this.removeFeedbackForm(messageContainer);
+            this.sendFeedback(messageContainer.dataset.messageId, 'down', value, text);
+        };
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            finish(comment.value.trim());
+        });
+        skipButton.addEventListener('click', () => finish(''));
+        
+        form.appendChild(comment);
+        form.appendChild(submitButton);
+        form.appendChild(skipButton);
+        messageContainer.appendChild(form);
+        comment.focus();
+        this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+    }
+    
+    /**
+     * Remove the comment form of a rated message, if shown
+     * @param {HTMLElement} messageContainer - Row of the rated message
+     */
+    removeFeedbackForm(messageContainer) {
+        const form = messageContainer.querySelector('.chat-feedback-form');
+        if (form) {
+            form.remove();
+        }
+    }
+    
+    /**
+     * Remember a rating in the history and post it to the feedbackUrl as
+     * { action: 'feedback', messageId, rating, comment, messageText }. The rated text is not
+     * sent as "message", so a chat webhook reading only that field does not answer it
+     * @param {string} messageId - ID of the rated bot message
+     * @param {string} rating - 'up' or 'down'
+     * @param {string} comment - Optional comment
+     * @param {string} text - Text of the rated message
+     * @returns {Promise<boolean>} Whether the feedback was posted and accepted
+     */
+    async sendFeedback(messageId, rating, comment, text) {
+        const entry = this.history.find(item => item.id === messageId);
+        if (entry) {
+            entry.feedback = rating;
+            this.saveHistory();
+        }
+        const messageText = entry ? entry.text : text;
+        this.emit('feedback', { messageId: messageId, rating: rating, comment: comment, messageText: messageText });
+        
+        if (!this.options.feedbackUrl) {
+            return false;
+        }
+        
+        try {
+            const response = await this.authorizedFetch(this.options.feedbackUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    action: 'feedback',
+                    sessionId: this.sessionId,
+                    messageId: messageId,
+                    rating: rating,
+                    comment: comment || undefined,
+                    messageText: messageText,
+                    timestamp: new Date().toISOString(),
+                    source: 'website'
+                })
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return true;
+        } catch (error) {
+            this.log('warn', 'Could not send the feedback:', error);
+            return false;
+        }
+    }
+    
+    /*
+     * Structured response schema
+     * 
+     * Besides a plain { "response": "text" }, the webhook may answer with a list of
+     * blocks, either as a top-level array or as { "messages": [...] }:
+     * 
+     *   { "type": "text", "text": "Markdown text" }
+     *   { "type": "image", "url": "https://...", "alt": "...", "link": "https://..." }
+     *   { "type": "product", "title": "...", "price": "R$ 12.900", "image": "https://...",
+     *     "description": "...", "url": "https://...", "buttonLabel": "Ver produto" }
+     *   { "type": "carousel", "items": [ <product or image blocks> ] }
+     *   { "type": "quick_replies", "text": "optional prompt",
+     *     "options": [ "Sim", { "label": "Ver relógios", "value": "Quero ver relógios" } ] }
+     * 
+     * A block without a type is treated as text (using its text/response/message field),
+     * and any response may also carry a top-level "quickReplies" array of options.
+     */
+    
+    /**
+     * Render a list of response blocks as bot messages
+     * @param {Array} blocks - Blocks following the structured response schema
+     * @returns {number} How many blocks were rendered
+     */
+    renderResponseBlocks(blocks) {
+        return blocks.filter(block => this.addBlock(block)).length;
+    }
+    
+    /**
+     * Whether a value is a block addBlock can render: a string, a block of a known type
+     * or an object with a text, response or message string
+     * @param {*} value - Value found in a response
+     * @returns {boolean}
+     */
+    isResponseBlock(value) {
+        if (typeof value === 'string') {
+            return value.trim() !== '';
+        }
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return false;
+        }
+        return ['image', 'product', 'carousel', 'quick_replies'].includes(value.type) ||
+               [value.text, value.response, value.message].some(text => typeof text === 'string');
+    }
+    
+    /**
+     * Render one structured response block
+     * @param {Object|string} block - Block following the structured response schema
+     * @param {Object} [meta] - { persist: false } to skip the history, { id, timestamp, feedback } of a restored block
+     * @returns {boolean} Whether anything was rendered
+     */
+    addBlock(block, meta = {}) {
+        if (typeof block === 'string') {
+            this.addMessage(block, 'bot', meta);
+            return true;
+        }
+        if (!block || typeof block !== 'object') {
+            return false;
+        }
+        
+        switch (block.type) {
+            case 'image':
+                if (block.url) {
+                    this.addRichContent(this.createImageElement(block), block, meta);
+                    return true;
+                }
+                return false;
+            case 'product':
+                this.addRichContent(this.createProductCard(block), block, meta);
+                return true;
+            case 'carousel': {
+                // Items that are not objects (e.g. null) are dropped before rendering and summarising
+                const items = Array.isArray(block.items) ? block.items.filter(item => item && typeof item === 'object') : [];
+                if (items.length > 0) {
+                    const carousel = { ...block, items: items };
+                    this.addRichContent(this.createCarousel(items), carousel, meta);
+                    return true;
+                }
+                return false;
+            }
+            case 'quick_replies': {
+                if (block.text) {
+                    this.addMessage(block.text, 'bot', meta);
+                }
+                // Quick replies only make sense for the current reply, so they are never restored
+                const showOptions = meta.persist !== false && Array.isArray(block.options) && block.options.length > 0;
+                if (showOptions) {
+                    this.showQuickReplies(block.options);
+                }
+                return !!block.text || showOptions;
+            }
+            default: {
+                const text = [block.text, block.response, block.message].find(value => typeof value === 'string');
+                if (text) {
+                    this.addMessage(text, 'bot', meta);
+                    return true;
+                }
+                this.log('warn', 'Unsupported response block:', block);
+                return false;
+            }
+        }
+    }
+    
+    /**
+     * Add a rich element (image, card, carousel) as a bot message
+     * @param {HTMLElement} element - Rendered block
+     * @param {Object} block - Source block, stored in the history to restore it later
+     * @param {Object} [meta] - { persist: false } to skip the history, { id, timestamp, feedback } of a restored block
+     */
+    addRichContent(element, block, meta = {}) {
+        const messageId = meta.id || this.createMessageId();
+        const timestamp = meta.timestamp || new Date().toISOString();
+        this.addDaySeparator(timestamp);
+        
+        const messageContainer = this.createMessageContainer('bot');
+        messageContainer.dataset.messageId = messageId;
+        element.classList.add('chat-rich-content');
+        messageContainer.appendChild(element);
+        messageContainer.appendChild(this.createMessageMeta(messageContainer, 'bot', timestamp, {
+            feedback: meta.feedback,
+            getText: () => this.getBlockSummary(block)
+        }));
+        this.messagesContainer.appendChild(messageContainer);
+        
+        if (meta.persist !== false) {
+            this.recordHistory(this.getBlockSummary(block), 'bot', timestamp, { id: messageId, block: block });
+        }
+        
+        // Scroll again once images have loaded and changed the height
+        this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+        element.querySelectorAll('img').forEach(img => {
+            img.addEventListener('load', () => {
+                this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+            }, { once: true });
+        });
+    }
+    
+    /**
+     * Plain text description of a rich block, stored as the history text
+     * @param {Object} block - Image, product or carousel block
+     * @returns {string} Summary text
+     */
+    getBlockSummary(block) {
+        if (block.type === 'carousel') {
+            return [].concat(block.items || [])
+                .filter(item => item && typeof item === 'object')
+                .map(item => this.getBlockSummary(item))
+                .join('\n');
+        }
+        if (block.type === 'product' || block.title) {
+            return [block.title, block.price, block.url].filter(Boolean).join(' - ');
+        }
+        return block.alt || block.url || '';
+    }
+    
+    /**
+     * Create an image element, optionally wrapped in a link
+     * @param {Object} block - { url, alt, link }
+     * @returns {HTMLElement} The image (or link containing it)
+     */
+    createImageElement(block) {
+        const image = document.createElement('img');
+        image.className = 'chat-image';
+        image.src = block.url;
+        image.alt = block.alt || '';
+        
+        const link = block.link && this.createSafeLink(block.link);
+        if (link) {
+            link.className = 'chat-image-link';
+            link.appendChild(image);
+            return link;
+        }
+        return image;
+    }
+    
+    /**
+     * Create a product card with image, title, price, description and link button
+     * @param {Object} block - { title, price, image, description, url, buttonLabel }
+     * @returns {HTMLElement} The card
+     */
+    createProductCard(block) {
+        const card = document.createElement('div');
+        card.className = 'chat-product-card';
+        
+        if (block.image) {
+            const image = document.createElement('img');
+            image.className = 'chat-product-image';
+            image.src = block.image;
+            image.alt = block.title || '';
+            card.appendChild(image);
+        }
+        
+        const body = document.createElement('div');
+        body.className = 'chat-product-body';
+        
+        if (block.title) {
+            const title = document.createElement('div');
+            title.className = 'chat-product-title';
+            title.textContent = block.title;
+            body.appendChild(title);
+        }
+        
+        if (block.price) {
+            const price = document.createElement('div');
+            price.className = 'chat-product-price';
+            price.textContent = block.price;
+            body.appendChild(price);
+        }
+        
+        if (block.description) {
+            const description = document.createElement('div');
+            description.className = 'chat-product-description';
+            description.textContent = block.description;
+            body.appendChild(description);
+        }
+        
+        const link = block.url && this.createSafeLink(block.url);
+        if (link) {
+            link.className = 'chat-product-button';
+            link.textContent = block.buttonLabel || this.t('productButton');
+            body.appendChild(link);
+        }
+        
+        card.appendChild(body);
+        return card;
+    }
+    
+    /**
+     * Create a horizontally scrolling carousel of product cards and images
+     * @param {Array} items - Product or image blocks
+     * @returns {HTMLElement} The carousel
+     */
+    createCarousel(items) {
+        const carousel = document.createElement('div');
+        carousel.className = 'chat-carousel';
+        
+        items.forEach(item => {
+            if (!item || typeof item !== 'object') return;
+            
+            const element = item.type === 'image' || (!item.title && item.url && !item.image)
+                ? this.createImageElement(item)
+                : this.createProductCard(item);
+            carousel.appendChild(element);
+        });
+        
+        return carousel;
+    }
+    
+    /**
+     * Show quick-reply chips below the last message; clicking one sends its value
+     * @param {Array} options - Strings or { label | title, value } objects
+     */
+    showQuickReplies(options) {
+        this.removeQuickReplies();
+        
+        const quickReplies = document.createElement('div');
+        quickReplies.className = 'chat-quick-replies';
+        
+        options.forEach(option => {
+            const plain = typeof option === 'string' || typeof option === 'number';
+            const label = plain ? option : option && (option.label || option.title || option.value);
+            const value = plain ? option : option && (option.value || option.label || option.title);
+            if (!label && label !== 0) return;
+            
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'chat-quick-reply';
+            chip.textContent = String(label);
+            chip.addEventListener('click', () => {
+                this.removeQuickReplies();
+                // Values such as { value: 1 } are sent as text, sendMessage() reads the composer otherwise
+                this.sendMessage(String(value));
+            });
+            quickReplies.appendChild(chip);
+        });
+        
+        this.messagesContainer.appendChild(quickReplies);
+        this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+    }
+    
+    /**
+     * Remove any quick-reply chips from the chat
+     */
+    removeQuickReplies() {
+        this.messagesContainer.querySelectorAll('.chat-quick-replies').forEach(element => element.remove());
+    }
+    
+    /**
+     * Fill a message bubble with its text
+     * Bot messages are rendered as sanitized Markdown, user messages as plain text
+     * @param {HTMLElement} messageElement - The message bubble
+     * @param {string} text - Message text
+     * @param {string} sender - 'user' or 'bot'
+     */
+    setMessageContent(messageElement, text, sender) {
+        if (sender === 'bot' && this.options.renderMarkdown) {
+            messageElement.textContent = '';
+            messageElement.appendChild(this.renderMarkdown(text));
+        } else {
+            messageElement.textContent = text;
+        }
+    }
+    
+    /**
+     * Render a safe subset of Markdown (paragraphs, line breaks, lists, headings,
+     * code, emphasis, links and bare URLs) into a document fragment.
+     * The output is built with DOM methods from a fixed set of elements and never
+     * through innerHTML, so HTML coming from the webhook is always shown as text.
+     * @param {string} text - Markdown source
+     * @returns {DocumentFragment} Rendered content
+     */
+    renderMarkdown(text) {
+        const fragment = document.createDocumentFragment();
+        const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+        let paragraph = null;
+        let list = null;
+        
+        const closeBlocks = () => {
+            paragraph = null;
+            list = null;
+        };
+        
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            
+            // Fenced code block
+            if (/^\s*```/.test(line)) {
+                closeBlocks();
+                const codeLines = [];
+                i++;
+                while (i < lines.length && !/^\s*```/.test(lines[i])) {
+                    codeLines.push(lines[i]);
+                    i++;
+                }
+                const pre = document.createElement('pre');
+                const code = document.createElement('code');
+                code.textContent = codeLines.join('\n');
+                pre.appendChild(code);
+                fragment.appendChild(pre);
+                continue;
+            }
+            
+            // Blank line ends the current paragraph or list
+            if (!line.trim()) {
+                closeBlocks();
+                continue;
+            }
+            
+            // Headings are shown as bold lines
+            const heading = line.match(/^\s*#{1,6}\s+(.*)$/);
+            if (heading) {
+                closeBlocks();
+                const headingElement = document.createElement('p');
+                headingElement.className = 'chat-message-heading';
+                this.renderInlineMarkdown(heading[1], headingElement);
+                fragment.appendChild(headingElement);
+                continue;
+            }
+            
+            // Bulleted and numbered list items
+            const listItem = line.match(/^\s*(?:([-*+•])|(\d+)[.)])\s+(.*)$/);
+            if (listItem) {
+                const listType = listItem[1] ? 'ul' : 'ol';
+                if (!list || list.tagName.toLowerCase() !== listType) {
+                    paragraph = null;
+                    list = document.createElement(listType);
+                    if (listType === 'ol' && listItem[2] !== '1') {
+                        list.start = parseInt(listItem[2], 10);
+                    }
+                    fragment.appendChild(list);
+                }
+                const item = document.createElement('li');
+                this.renderInlineMarkdown(listItem[3], item);
+                list.appendChild(item);
+                continue;
+            }
+            
+            // Regular text: consecutive lines form a paragraph separated by line breaks
+            if (paragraph) {
+                paragraph.appendChild(document.createElement('br'));
+            } else {
+                list = null;
+                paragraph = document.createElement('p');
+                fragment.appendChild(paragraph);
+            }
+            this.renderInlineMarkdown(line, paragraph);
+        }
+        
+        return fragment;
+    }
+    
+    /**
+     * Render inline Markdown (code, links, bold, italic and bare URLs) into an element
+     * @param {string} text - Inline Markdown source
+     * @param {HTMLElement} parent - Element receiving the rendered nodes
+     */
+    renderInlineMarkdown(text, parent) {
+        const inlinePattern = /(`+)([^`]+?)\1|\[([^\]]+)\]\(\s*([^()\s]*(?:\([^()\s]*\)[^()\s]*)*)(?:\s+"[^"]*")?\s*\)|\*\*(.+?)\*\*|__(.+?)__|\*(?!\s)(.+?)\*|\b_(?!\s)(.+?)_\b|((?:https?:\/\/|www\.)[^\s<]*[^\s<.,:;"')\]!?])/;
+        let remaining = text;
+        
+        while (remaining) {
+            const match = remaining.match(inlinePattern);
+            if (!match) {
+                parent.appendChild(document.createTextNode(remaining));
+                break;
+            }
+            
+            if (match.index > 0) {
+                parent.appendChild(document.createTextNode(remaining.substring(0, match.index)));
+            }
+            
+            if (match[2] !== undefined) {
+                // Inline code
+                const code = document.createElement('code');
+                code.textContent = match[2];
+                parent.appendChild(code);
+            } else if (match[3] !== undefined) {
+                // [text](url) link; unsafe URLs are rendered as plain text
+                const link = this.createSafeLink(match[4]);
+                if (link) {
+                    this.renderInlineMarkdown(match[3], link);
+                    parent.appendChild(link);
+                } else {
+                    this.renderInlineMarkdown(match[3], parent);
+                }
+            } else if (match[5] !== undefined || match[6] !== undefined) {
+                const strong = document.createElement('strong');
+                this.renderInlineMarkdown(match[5] !== undefined ? match[5] : match[6], strong);
+                parent.appendChild(strong);
+            } else if (match[7] !== undefined || match[8] !== undefined) {
+                const emphasis = document.createElement('em');
+                this.renderInlineMarkdown(match[7] !== undefined ? match[7] : match[8], emphasis);
+                parent.appendChild(emphasis);
+            } else {
+                // Bare URL
+                const link = this.createSafeLink(match[9].startsWith('www.') ? `https://${match[9]}` : match[9]);
+                link.textContent = match[9];
+                parent.appendChild(link);
+            }
+            
+            remaining = remaining.substring(match.index + match[0].length);
+        }
+    }
+    
+    /**
+     * Create a link that opens in a new tab, allowing only http(s), mailto and tel URLs
+     * @param {string} href - Link target
+     * @returns {HTMLAnchorElement|null} The link, or null if the URL is not allowed
+     */
+    createSafeLink(href) {
+        if (!/^(https?:\/\/|mailto:|tel:)/i.test(href)) {
+            return null;
+        }
+        
+        const link = document.createElement('a');
+        link.href = href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer nofollow';
+        return link;
+    }
+    
+    /**
+     * Append a message to the transcript and save it
+     * @param {string} text - Message text
+     * @param {string} sender - 'user' or 'bot'
+     * @param {string} [timestamp] - ISO timestamp, defaults to now
+     * @param {Object} [extra] - Additional fields, e.g. the structured { block } or { attachments }
+     */
+    recordHistory(text, sender, timestamp, extra = {}) {
+        this.history.push({
+            text: text,
+            sender: sender,
+            timestamp: timestamp || new Date().toISOString(),
+            ...extra
+        });
+        this.saveHistory();
+        
+        // New replies get the attention of a visitor who is not looking at the chat
+        if (sender === 'bot') {
+            this.notifyIncoming();
+        }
+    }
+    
+    /**
+     * Helper method to remove all loading indicators from the chat
+     */
+    removeLoadingIndicators() {
+        // Remove the entire loading container instead of just the loading element
+        const loadingContainers = this.messagesContainer.querySelectorAll('.chat-loading-container');
+        loadingContainers.forEach(container => container.remove());
+    }
+    
+    /**
+     * Count a message against the rateLimit option
+     * @returns {boolean} true when the message must not be sent yet
+     */
+    isRateLimited() {
+        if (!this.options.rateLimit) {
+            return false;
+        }
+        
+        const { maxMessages = 5, interval = 10000, cooldown = 30000 } = this.options.rateLimit;
+        const now = Date.now();
+        if (now < this.cooldownUntil) {
+            return true;
+        }
+        
+        this.sentTimes = this.sentTimes.filter(time => now - time < interval);
+        if (this.sentTimes.length >= maxMessages) {
+            this.cooldownUntil = now + cooldown;
+            this.sentTimes = [];
+            return true;
+        }
+        
+        this.sentTimes.push(now);
+        return false;
+    }
+    
+    /**
+     * Tell the visitor how long to wait before sending again (replacing an earlier notice)
+     */
+    showCooldownMessage() {
+        if (this.cooldownMessage && this.cooldownMessage.parentElement) {
+            this.cooldownMessage.parentElement.remove();
+        }
+        
+        const seconds = Math.ceil((this.cooldownUntil - Date.now()) / 1000);
+        this.cooldownMessage = this.addMessage(this.t('rateLimited', { seconds: seconds }), 'bot', { persist: false, system: true });
+    }
+    
+    /**
+     * Headers for a webhook request: the headers option, the bearer token and the HMAC signature
+     * @param {string} body - Request body covered by the signature ('' for GET requests)
+     * @param {boolean} [refreshToken] - Ask getToken (and a signingSecret function) for a new token or key
+     * @returns {Promise<Object>}
+     */
+    async getRequestHeaders(body, refreshToken = false) {
+        const headers = { ...this.options.headers };
+        
+        if (typeof this.options.getToken === 'function') {
+            const token = await this.getAuthToken(refreshToken);
+            if (token) {
+                headers['Authorization'] = `Bearer ${token}`;
+            }
+        }
+        
+        if (this.options.signingSecret && this.canSign) {
+            const secret = await this.getSigningKey(refreshToken);
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const nonce = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+            headers['X-Chat-Timestamp'] = timestamp;
+            headers['X-Chat-Nonce'] = nonce;
+            headers['X-Chat-Signature'] = await this.sign(`${timestamp}.${nonce}.${body}`, secret);
+        }
+        return headers;
+    }
+    
+    /**
+     * Whether a 401 may be fixed by asking for new credentials (token or signing key)
+     * @returns {boolean}
+     */
+    canRefreshCredentials() {
+        return typeof this.options.getToken === 'function' || typeof this.options.signingSecret === 'function';
+    }
+    
+    /**
+     * Get the signing key: the signingSecret string, or the result of the signingSecret
+     * function, reused until a refresh is requested
+     * @param {boolean} [refresh] - Ask for a new key
+     * @returns {Promise<string>}
+     */
+    getSigningKey(refresh = false) {
+        const secret = this.options.signingSecret;
+        if (typeof secret !== 'function') {
+            return Promise.resolve(secret);
+        }
+        
+        if (!this.signingKeyPromise || refresh) {
+            const keyPromise = Promise.resolve().then(() => secret({ sessionId: this.sessionId }));
+            this.signingKeyPromise = keyPromise;
+            keyPromise.catch(() => {
+                if (this.signingKeyPromise === keyPromise) {
+                    this.signingKeyPromise = null;
+                }
+            });
+        }
+        return this.signingKeyPromise;
+    }
+    
+    /**
+     * Get the token from getToken, reusing it until a refresh is requested
+     * Concurrent requests share one pending call; a failed call is retried next time
+     * @param {boolean} [refresh] - Ask for a new token
+     * @returns {Promise<string>}
+     */
+    getAuthToken(refresh = false) {
+        if (!this.tokenPromise || refresh) {
+            const tokenPromise = Promise.resolve().then(() => this.options.getToken({ sessionId: this.sessionId }));
+            this.tokenPromise = tokenPromise;
+            tokenPromise.catch(() => {
+                if (this.tokenPromise === tokenPromise) {
+                    this.tokenPromise = null;
+                }
+            });
+        }
+        return this.tokenPromise;
+    }
+    
+    /**
+     * HMAC-SHA256 of a text
+     * @param {string} text - Text to sign
+     * @param {string} secret - Signing key from getSigningKey()
+     * @returns {Promise<string>} Hex-encoded signature
+     */
+    async sign(text, secret) {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey(
+            'raw',
+            encoder.encode(secret),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+        const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(text));
+        return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    /**
+     * fetch() with the request headers added; after a 401 the token is refreshed and
+     * the request is made once more
+     * @param {string} url - Request URL
+     * @param {Object} [init] - fetch options
+     * @returns {Promise<Response>}
+     */
+    async authorizedFetch(url, init = {}) {
+        const signedBody = typeof init.body === 'string' ? init.body : '';
+        const request = async refreshToken => fetch(url, {
+            ...init,
+            headers: {
+                ...init.headers,
+                ...(await this.getRequestHeaders(signedBody, refreshToken))
+            }
+        });
+        
+        const response = await request(false);
+        if (response.status === 401 && this.canRefreshCredentials()) {
+            return request(true);
+        }
+        return response;
+    }
+    
+    /**
+     * URL of the current page for the payload, with the query redacted as configured
+     * @returns {string}
+     */
+    getPageUrl() {
+        const redact = this.options.redactUrl;
+        if (!redact) {
+            return window.location.href;
+        }
+        
+        const url = new URL(window.location.href);
+        if (Array.isArray(redact)) {
+            redact.forEach(name => url.searchParams.delete(name));
+        } else {
+            url.search = '';
+            url.hash = '';
+        }
+        return url.href;
+    }
+    
+    /**
+     * Show the typing indicator after the last message
+     * @param {string} [name] - Who is typing (defaults to the assistant name)
+     */
+    showTypingIndicator(name) {
+        // Remove any existing loading indicators first
+        this.removeLoadingIndicators();
         
-        // Show loading indicator after the last message
         const loadingContainer = document.createElement('div');
         loadingContainer.className = 'chat-message-container bot-container chat-loading-container';
-        loadingContainer.style.display = 'flex';
-        loadingContainer.style.marginBottom = '16px';
         
-        // Check if the previous message was from the bot
-        const previousMessageContainer = this.messagesContainer.lastElementChild;
-        const isConsecutiveBot = previousMessageContainer && previousMessageContainer.classList.contains('bot-container');
+        // Check if the previous message was from the bot
+        const previousMessageContainer = this.messagesContainer.lastElementChild;
+        const isConsecutiveBot = previousMessageContainer && previousMessageContainer.classList.contains('bot-container');
+        
+        // Only add avatar if it's not a consecutive bot message
+        loadingContainer.appendChild(this.createAvatarElement(!isConsecutiveBot));
+        
+        const loadingElement = document.createElement('div');
+        loadingElement.className = 'chat-loading';
+        loadingElement.setAttribute('role', 'status');
+        loadingElement.setAttribute('aria-label', this.t('typing', { name: name || this.options.assistantName }));
+        loadingElement.innerHTML = '<div class="chat-loading-dot" aria-hidden="true"></div><div class="chat-loading-dot" aria-hidden="true"></div><div class="chat-loading-dot" aria-hidden="true"></div>';
+        
+        loadingContainer.appendChild(loadingElement);
+        this.messagesContainer.appendChild(loadingContainer);
+        this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+    }
+    
+    /**
+     * Keyboard handling of the composer: Enter sends (unless an IME is composing text),
+     * Shift+Enter adds a line, Up and Down go through the messages sent before
+     * @param {KeyboardEvent} e - The keydown event
+     */
+    handleComposerKeydown(e) {
+        // Enter also confirms a character while an IME composes text
+        if (e.isComposing || e.keyCode === 229) return;
+        
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            this.sendMessage();
+            return;
+        }
+        
+        // Recall only replaces an empty composer or a message recalled before
+        const recalling = this.messageInput.value === '' || this.recallIndex !== null;
+        if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && recalling) {
+            if (this.recallMessage(e.key === 'ArrowUp' ? -1 : 1)) {
+                e.preventDefault();
+            }
+        }
+    }
+    
+    /**
+     * Put an earlier message of the visitor back in the composer
+     * @param {number} step - -1 for the previous message, 1 for the next one
+     * @returns {boolean} Whether the composer changed
+     */
+    recallMessage(step) {
+        const sent = this.history.filter(entry => entry.sender === 'user' && entry.text).map(entry => entry.text);
+        if (sent.length === 0) return false;
+        
+        const current = this.recallIndex === null ? sent.length : this.recallIndex;
+        const index = Math.min(Math.max(current + step, 0), sent.length);
+        if (index === current) return false;
+        
+        // Going past the newest message empties the composer again
+        this.setComposerText(index === sent.length ? '' : sent[index]);
+        this.recallIndex = index === sent.length ? null : index;
+        
+        const end = this.messageInput.value.length;
+        this.messageInput.setSelectionRange(end, end);
+        return true;
+    }
+    
+    /**
+     * Replace the text of the composer and update its size, counter and draft
+     * @param {string} text - New text
+     */
+    setComposerText(text) {
+        this.messageInput.value = text || '';
+        this.recallIndex = null;
+        this.updateComposer();
+        this.saveDraft();
+    }
+    
+    /**
+     * Fit the composer to its text, update the character counter and enable the
+     * send button only when there is something to send and no reply is pending
+     */
+    updateComposer() {
+        if (!this.messageInput) return;
+        
+        // Grow with the text up to the max-height of the stylesheet; a hidden window has no
+        // layout (scrollHeight is 0), so the size is fitted again by open()
+        if (!this.chatWindow.hidden) {
+            this.messageInput.style.height = 'auto';
+            this.messageInput.style.height = `${this.messageInput.scrollHeight}px`;
+        }
+        
+        const length = this.messageInput.value.length;
+        const maxLength = this.options.maxLength;
+        this.characterCounter.hidden = !(maxLength > 0 && length >= maxLength * 0.8);
+        this.characterCounter.textContent = `${length}/${maxLength}`;
+        this.characterCounter.classList.toggle('chat-character-counter-full', length >= maxLength);
+        
+        const empty = !this.messageInput.value.trim() && this.pendingAttachments.length === 0;
+        this.sendButton.disabled = empty || this.replyPending || this.preparingAttachments > 0;
+    }
+    
+    /**
+     * Mark whether a reply is on its way; the send button waits for it
+     * @param {boolean} pending - Whether a reply is pending
+     */
+    setReplyPending(pending) {
+        this.replyPending = pending;
+        this.updateComposer();
+    }
+    
+    /**
+     * Storage key of the unsent text for the current session
+     * @returns {string}
+     */
+    getDraftKey() {
+        return this.storageKey(`draft_${this.sessionId}`);
+    }
+    
+    /**
+     * Load the text the visitor had typed but not sent
+     * @returns {string} The draft, or '' without one
+     */
+    loadDraft() {
+        if (!this.consentGranted) {
+            return '';
+        }
+        
+        try {
+            return localStorage.getItem(this.getDraftKey()) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+    
+    /**
+     * Store the composer's text so it survives closing the window or changing page
+     */
+    saveDraft() {
+        if (!this.consentGranted) return;
+        
+        try {
+            const draft = this.messageInput.value;
+            if (draft) {
+                localStorage.setItem(this.getDraftKey(), draft);
+            } else {
+                localStorage.removeItem(this.getDraftKey());
+            }
+        } catch (error) {
+            this.log('warn', 'Could not save the draft:', error);
+        }
+    }
+    
+    /**
+     * Send user message to webhook and process response
+     * @param {string} [text] - Text to send instead of the input value (e.g. a quick reply)
+     */
+    async sendMessage(text) {
+        const fromInput = typeof text !== 'string';
+        const message = (fromInput ? this.messageInput.value : text).trim();
+        
+        // Files in the composer go with the typed message, which may then be empty
+        const attachments = fromInput ? this.pendingAttachments : [];
+        if (!message && attachments.length === 0) return;
+        
+        // The typed text waits in the composer until the current reply has arrived
+        // and the files being added are ready, or it would leave without them
+        if (fromInput && (this.replyPending || this.preparingAttachments > 0)) return;
+        
+        // Too many messages in a short time: keep the text and ask the visitor to wait
+        if (this.isRateLimited()) {
+            this.showCooldownMessage();
+            return;
+        }
+        
+        // Clear input
+        if (fromInput) {
+            this.pendingAttachments = [];
+            this.renderAttachmentPreviews();
+            this.setComposerText('');
+        }
+        
+        // Quick replies are only offered until the user answers
+        this.removeQuickReplies();
+        
+        // Add user message to chat
+        const messageElement = this.addMessage(message, 'user', { attachments: attachments });
+        
+        // Hold the message until the browser is back online
+        if (!navigator.onLine) {
+            this.queueMessage(message, messageElement, attachments);
+            return;
+        }
+        
+        await this.deliverMessage(message, messageElement, attachments);
+    }
+    
+    /**
+     * Post a user message to the webhook and render the reply
+     * @param {string} message - Message text
+     * @param {HTMLElement} messageElement - The user bubble, marked as failed on error
+     * @param {Array} [attachments] - Prepared files from addAttachments()
+     */
+    async deliverMessage(message, messageElement, attachments = []) {
+        // A retry replaces the notice of the previous failure
+        const previousNotice = this.sendErrorNotices.get(messageElement);
+        if (previousNotice) {
+            previousNotice.parentElement.remove();
+            this.sendErrorNotices.delete(messageElement);
+        }
+        
+        // Show loading indicator after the last message
+        this.showTypingIndicator();
+        this.setReplyPending(true);
+        this.setMessageStatus(messageElement, 'sending');
+        
+        // Prepare request payload
+        let payload = {
+            message: message,
+            messageId: this.getMessageId(messageElement),
+            sessionId: this.sessionId,
+            timestamp: new Date().toISOString(),
+            userAgent: this.options.sendUserAgent ? navigator.userAgent : undefined,
+            pageUrl: this.getPageUrl(),
+            locale: this.locale,
+            source: 'website' // Adding fixed source value as requested
+        };
+        
+        // Details from the pre-chat form or identify()
+        if (Object.keys(this.visitor).length > 0) {
+            payload.visitor = { ...this.visitor };
+        }
+        
+        // Describe the attached files; their content is added to the request below
+        if (attachments.length > 0) {
+            payload.attachments = attachments.map(({ name, type, size }) => ({ name, type, size }));
+        }
+        
+        // Allow the request (and a streamed reply) to be aborted
+        const abortController = new AbortController();
+        this.abortController = abortController;
+        let diagnostic = null;
+        let awaitingPush = false;
+        
+        try {
+            // Let the host page enrich the payload or cancel the message
+            if (typeof this.options.beforeSend === 'function') {
+                const result = await this.options.beforeSend(payload);
+                if (result === false) {
+                    // Nothing was sent, so the message leaves the chat and the history
+                    this.removeLoadingIndicators();
+                    this.removeMessage(messageElement);
+                    return;
+                }
+                if (result && typeof result === 'object') {
+                    payload = result;
+                }
+            }
+            
+            this.log('debug', 'Sending message to webhook:', {
+                url: this.options.webhookUrl,
+                payload: payload
+            });
+            
+            this.emit('messageSent', { message: message, payload: payload });
+            diagnostic = this.recordDiagnostic({
+                type: 'request',
+                url: this.options.webhookUrl,
+                payload: payload,
+                status: 'pending'
+            });
+            
+            // Files are uploaded with progress shown on the user bubble
+            const upload = attachments.length > 0
+                ? await this.buildUpload(payload, attachments, fraction => this.setUploadProgress(messageElement, fraction))
+                : null;
+            
+            // Send message through the transport, retrying network errors, timeouts and 5xx responses
+            const response = await this.sendPayload(payload, abortController.signal, upload);
+            this.setUploadProgress(messageElement, null);
+            
+            // The reply will be pushed by the server: keep the typing indicator until it arrives
+            if (!response) {
+                this.updateDiagnostic(diagnostic, { status: 'sent', latency: Date.now() - diagnostic.time });
+                this.setMessageStatus(messageElement, 'sent');
+                clearTimeout(this.pendingReplyTimer);
+                this.pendingReplyTimer = setTimeout(() => {
+                    this.removeLoadingIndicators();
+                    this.setReplyPending(false);
+                }, this.options.requestTimeout || 30000);
+                awaitingPush = true;
+                return;
+            }
+            
+            this.log('debug', 'Webhook response status:', response.status);
+            this.log('debug', 'Webhook response headers:', [...response.headers.entries()]);
+            this.updateDiagnostic(diagnostic, { status: response.status, latency: Date.now() - diagnostic.time });
+            
+            if (!response.ok) {
+                const errorText = await this.readResponseText(response, abortController.signal);
+                // The body (often an HTML error page) is kept for the diagnostics panel only
+                this.log('debug', 'Error response body:', errorText);
+                this.updateDiagnostic(diagnostic, { response: errorText });
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.setMessageStatus(messageElement, 'sent');
+            
+            // Stream the reply into a single bubble when enabled and supported by the response
+            const streamFormat = this.getStreamFormat(response);
+            if (streamFormat) {
+                const streamedText = await this.readStreamingResponse(response, streamFormat, abortController.signal);
+                this.updateDiagnostic(diagnostic, { response: streamedText });
+                const replyText = abortController.signal.aborted
+                    ? streamedText
+                    : await this.rewriteStreamedReply(streamedText, { message: message, payload: payload, streamed: true });
+                this.emit('messageReceived', { message: message, data: replyText });
+                return;
+            }
+            
+            // Remove any loading indicators
+            this.removeLoadingIndicators();
+            
+            // Try to parse the response as JSON
+            let data;
+            const responseText = await this.readResponseText(response, abortController.signal);
+            this.log('debug', 'Raw response:', responseText);
+            this.updateDiagnostic(diagnostic, { response: responseText });
+            
+            try {
+                data = JSON.parse(responseText);
+            } catch (parseError) {
+                // A plain-text reply is shown as is, markup such as an HTML error page never is
+                this.log('warn', 'Response is not JSON, using it as plain text:', parseError);
+                data = /^\s*</.test(responseText) ? null : responseText;
+            }
+            
+            // Let the host page rewrite the reply, then display it
+            data = await this.applyAfterReceive(data, { message: message, payload: payload });
+            this.renderReply(data);
+            
+            this.emit('messageReceived', { message: message, data: data });
+        } catch (error) {
+            // Remove any loading indicators
+            this.removeLoadingIndicators();
+            
+            // An aborted request is not an error; any streamed text has already been kept
+            if (error.name === 'AbortError') {
+                this.log('info', 'Request aborted');
+                this.setMessageStatus(messageElement, null);
+                if (diagnostic) {
+                    this.updateDiagnostic(diagnostic, { status: 'aborted' });
+                }
+                return;
+            }
+            
+            this.setUploadProgress(messageElement, null);
+            
+            // Connectivity was lost while sending: keep the message for later
+            if (!navigator.onLine) {
+                this.queueMessage(message, messageElement, attachments);
+                return;
+            }
+            
+            this.log('error', 'Error sending message:', error);
+            if (diagnostic) {
+                this.updateDiagnostic(diagnostic, {
+                    status: typeof diagnostic.status === 'number' ? diagnostic.status : 'failed',
+                    latency: Date.now() - diagnostic.time,
+                    error: error.message
+                });
+            }
+            this.emit('error', { message: message, error: error });
+            this.setMessageStatus(messageElement, 'failed', () => this.retryMessage(message, messageElement, attachments));
+            
+            // The details stay in the log and the diagnostics panel, the visitor gets a plain notice
+            this.sendErrorNotices.set(messageElement, this.addMessage(this.t('sendError'), 'bot', { system: true }));
+        } finally {
+            if (this.abortController === abortController) {
+                this.abortController = null;
+            }
+            if (!awaitingPush) {
+                this.setReplyPending(false);
+            }
+        }
+    }
+    
+    /**
+     * Run the afterReceive hook on a reply
+     * @param {*} data - Parsed reply
+     * @param {Object} context - Passed to the hook: { message, payload }, { message, payload, streamed: true } or { pushed: true }
+     * @returns {Promise<*>} The reply to display; a string returned by the hook is shown as the reply text
+     */
+    async applyAfterReceive(data, context) {
+        if (typeof this.options.afterReceive !== 'function') {
+            return data;
+        }
+        
+        try {
+            const rewritten = await this.options.afterReceive(data, context);
+            return rewritten !== undefined ? rewritten : data;
+        } catch (hookError) {
+            this.log('error', 'Error in afterReceive hook:', hookError);
+            return data;
+        }
+    }
+    
+    /**
+     * Run the afterReceive hook on the complete text of a streamed reply; a returned string
+     * replaces the text of the bubble and of its history entry
+     * @param {string} text - The streamed reply
+     * @param {Object} context - Passed to the hook: { message, payload, streamed: true }
+     * @returns {Promise<string>} The reply text as shown
+     */
+    async rewriteStreamedReply(text, context) {
+        if (!text || typeof this.options.afterReceive !== 'function') {
+            return text;
+        }
+        
+        const rewritten = await this.applyAfterReceive(text, context);
+        if (typeof rewritten !== 'string' || rewritten === text) {
+            return text;
+        }
+        
+        // The streamed bubble is the latest bot message in the history
+        const entry = this.history.slice().reverse().find(item => item.sender === 'bot');
+        const messageContainer = entry && entry.id && this.messagesContainer.querySelector(`[data-message-id="${entry.id}"]`);
+        if (messageContainer) {
+            this.setMessageContent(messageContainer.querySelector('.chat-message'), rewritten, 'bot');
+            entry.text = rewritten;
+            this.saveHistory();
+        }
+        return rewritten;
+    }
+    
+    /**
+     * Display a parsed reply through the response adapter, followed by any quick replies
+     * A reply without any usable content gets the friendly fallback text, never raw JSON
+     * @param {*} data - Parsed reply (or its text)
+     * @param {Object|Function|string} [adapter] - Overrides the responseAdapter option
+     */
+    renderReply(data, adapter = this.options.responseAdapter) {
+        const reply = this.adaptResponse(data, adapter);
+        const rendered = reply.blocks.length > 0 ? this.renderResponseBlocks(reply.blocks) : 0;
+        
+        if (rendered === 0 && reply.quickReplies.length === 0) {
+            this.log('warn', 'No reply found in the response, check the responseAdapter option:', data);
+            this.addMessage(this.t('fallbackReply'), 'bot');
+        }
+        
+        // Quick replies can accompany any kind of response
+        if (reply.quickReplies.length > 0) {
+            this.showQuickReplies(reply.quickReplies);
+        }
+    }
+    
+    /*
+     * Response adapters
+     * 
+     * The responseAdapter option tells the widget where the reply is in the webhook's
+     * response. A mapping lists, for each part, one or more JSONPath-like paths that are
+     * tried in order until one matches ("$" is the response, ".field" and "[0]" select
+     * a field or an item, "[*]" every item of an array):
+     * 
+     *   {
+     *     "messages": "$.messages",                 // Blocks of the structured response schema
+     *     "text": ["$.data.reply", "$.output[*]"],  // Text, a string per message
+     *     "quickReplies": "$.buttons[*]",           // Strings or { label, value } options
+     *     "stream": "$.delta"                       // Text of a streamed chunk
+     *   }
+     * 
+     * Presets for common platforms are in ChatBubbleWidget.responseAdapters. A function
+     * adapter receives the response and returns a string, an array of blocks or an object
+     * read with the default mapping.
+     */
+    
+    /**
+     * Resolve the responseAdapter option to a mapping or a function
+     * @param {Object|Function|string} [adapter] - Preset name, mapping or function
+     * @returns {Object|Function}
+     */
+    getResponseAdapter(adapter = this.options.responseAdapter) {
+        if (typeof adapter === 'string') {
+            if (!ChatBubbleWidget.responseAdapters[adapter]) {
+                this.log('warn', `Unknown response adapter "${adapter}", using the default one`);
+            }
+            return ChatBubbleWidget.responseAdapters[adapter] || ChatBubbleWidget.responseAdapters.default;
+        }
+        return adapter || ChatBubbleWidget.responseAdapters.default;
+    }
+    
+    /**
+     * Extract the blocks and quick replies of a reply
+     * @param {*} data - Parsed reply (or its text)
+     * @param {Object|Function|string} [adapter] - Preset name, mapping or function
+     * @returns {Object} { blocks, quickReplies }, both possibly empty
+     */
+    adaptResponse(data, adapter) {
+        let mapping = this.getResponseAdapter(adapter);
+        
+        // A function adapter may return the reply in any form the default mapping reads
+        if (typeof mapping === 'function') {
+            try {
+                data = mapping(data);
+            } catch (adapterError) {
+                this.log('error', 'Error in responseAdapter:', adapterError);
+                data = null;
+            }
+            mapping = ChatBubbleWidget.responseAdapters.default;
+        }
+        
+        if (typeof data === 'string') {
+            return { blocks: data.trim() ? [data] : [], quickReplies: [] };
+        }
+        
+        // Structured blocks first, then text, a message per string found; items that are not
+        // blocks (e.g. [{ output }] from n8n matched by "$[*]") leave the reply to the text paths
+        let blocks = this.getMappedValues(data, mapping.messages).filter(value => this.isResponseBlock(value));
+        if (blocks.length === 0) {
+            blocks = this.getMappedValues(data, mapping.text).filter(value => typeof value === 'string' && value.trim());
+        }
+        
+        return {
+            blocks: blocks,
+            quickReplies: this.getMappedValues(data, mapping.quickReplies)
+        };
+    }
+    
+    /**
+     * Values of the first path that matches anything; arrays found are flattened one level
+     * @param {*} data - Parsed response
+     * @param {string|Array<string>} [paths] - Paths tried in order
+     * @returns {Array}
+     */
+    getMappedValues(data, paths) {
+        for (const path of [].concat(paths || [])) {
+            const values = this.resolvePath(data, path)
+                .flatMap(value => Array.isArray(value) ? value : [value])
+                .filter(value => value !== undefined && value !== null && value !== '');
+            if (values.length > 0) {
+                return values;
+            }
+        }
+        return [];
+    }
+    
+    /**
+     * Find the values selected by a JSONPath-like path, e.g. "$.choices[0].message.content"
+     * Supports fields (.name or ['name']), array indexes ([0]) and every item of an array ([*])
+     * @param {*} data - Parsed response
+     * @param {string} path - Path, with or without the leading "$"
+     * @returns {Array} Matched values (empty when nothing matches)
+     */
+    resolvePath(data, path) {
+        const tokens = String(path).replace(/^\$/, '').match(/\[[^\]]*\]|[^.[\]]+/g) || [];
+        
+        return tokens.reduce((values, token) => {
+            const key = token[0] === '[' ? token.slice(1, -1).replace(/^['"]|['"]$/g, '') : token;
+            return values.flatMap(value => {
+                if (!value || typeof value !== 'object') {
+                    return [];
+                }
+                if (key === '*') {
+                    return Array.isArray(value) ? value : [];
+                }
+                return value[key] !== undefined ? [value[key]] : [];
+            });
+        }, [data]);
+    }
+    
+    /**
+     * Handle an event pushed by the server through the WebSocket or long-polling transport
+     * Events: { type: 'message', response | text | messages, quickReplies }, { type: 'typing', active, name }
+     * and { type: 'status', status, message }
+     * @param {Object} event - The pushed event
+     */
+    async handleServerEvent(event) {
+        if (!event || typeof event !== 'object') return;
+        
+        if (event.type === 'typing') {
+            if (event.active === false) {
+                this.removeLoadingIndicators();
+            } else {
+                this.showTypingIndicator(event.name);
+            }
+            return;
+        }
+        
+        if (event.type === 'status') {
+            this.setStatus(event.status, event.message);
+            return;
+        }
+        
+        if (event.type && event.type !== 'message') {
+            this.log('warn', 'Ignoring unknown server event:', event);
+            return;
+        }
+        
+        clearTimeout(this.pendingReplyTimer);
+        this.removeLoadingIndicators();
+        this.setReplyPending(false);
+        this.recordDiagnostic({ type: 'push', event: event });
+        
+        // Pushed events follow the widget's own format, whatever the webhook's adapter
+        const data = await this.applyAfterReceive(event, { pushed: true });
+        this.renderReply(data, 'default');
+        this.emit('messageReceived', { data: data, pushed: true });
+    }
+    
+    /**
+     * Create the transport selected by the transport option
+     * @returns {Object} The transport, see ChatBubbleHttpTransport for the interface
+     */
+    createTransport() {
+        const Transport = typeof this.options.transport === 'function'
+            ? this.options.transport
+            : ChatBubbleWidget.transports[this.options.transport];
+        if (!Transport) {
+            throw new Error(`Unknown transport "${this.options.transport}"`);
+        }
+        return new Transport(this);
+    }
+    
+    /**
+     * Record the transport's connection state and emit 'connectionChange' when it changes
+     * @param {string} status - 'connecting', 'connected' or 'disconnected'
+     */
+    setConnectionStatus(status) {
+        if (status === this.connectionStatus) return;
+        
+        this.connectionStatus = status;
+        this.emit('connectionChange', { status: status });
+    }
+    
+    /**
+     * Send a payload through the transport with a timeout per attempt and exponential-backoff
+     * retries for network errors, timeouts and 5xx responses
+     * @param {Object} payload - Request payload
+     * @param {AbortSignal} signal - Cancels the request and any pending retry
+     * @param {Object} [upload] - { body, headers, onProgress } from buildUpload() for messages with files
+     * @returns {Promise<Response|null>} The last response (which may still be an error status),
+     *                                   or null when the reply will be pushed by the server
+     */
+    async sendPayload(payload, signal, upload) {
+        for (let attempt = 0; ; attempt++) {
+            // Each attempt gets its own controller so a timeout only aborts that attempt
+            const attemptController = new AbortController();
+            const onAbort = () => attemptController.abort();
+            signal.addEventListener('abort', onAbort, { once: true });
+            
+            let timedOut = false;
+            const timer = this.options.requestTimeout ? setTimeout(() => {
+                timedOut = true;
+                attemptController.abort();
+            }, this.options.requestTimeout) : null;
+            
+            let retryReason;
+            try {
+                const response = await this.transport.send(payload, attemptController.signal, upload);
+                
+                if (!response || response.status < 500 || attempt >= this.options.maxRetries) {
+                    return response;
+                }
+                retryReason = `status ${response.status}`;
+            } catch (error) {
+                // Cancelled by the user: stop without retrying
+                if (signal.aborted) {
+                    throw error;
+                }
+                
+                const failure = timedOut ? new Error(`Request timed out after ${this.options.requestTimeout}ms`) : error;
+                if (attempt >= this.options.maxRetries || !navigator.onLine) {
+                    throw failure;
+                }
+                retryReason = failure.message;
+            } finally {
+                // The body is read with the caller's signal, the attempt is done with it
+                clearTimeout(timer);
+                signal.removeEventListener('abort', onAbort);
+            }
+            
+            const delay = this.options.retryDelay * Math.pow(2, attempt);
+            this.log('warn', `Request failed (${retryReason}), retrying in ${delay}ms`);
+            await this.wait(delay, signal);
+        }
+    }
+    
+    /**
+     * Build the request body for a message with files
+     * @param {Object} payload - Request payload
+     * @param {Array} attachments - Prepared files from addAttachments()
+     * @param {Function} onProgress - Called with the upload progress (0 to 1)
+     * @returns {Promise<Object>} { body, headers, onProgress } for the transport's send()
+     */
+    async buildUpload(payload, attachments, onProgress) {
+        // A multipart body is only serialized by the browser, so it could not be signed
+        if (this.options.uploadFormat === 'base64' || (this.options.signingSecret && this.canSign)) {
+            // JSON payload with the file contents as base64 strings
+            const encoded = await Promise.all(attachments.map(async attachment => ({
+                name: attachment.name,
+                type: attachment.type,
+                size: attachment.size,
+                data: await this.readAsBase64(attachment.blob)
+            })));
+            return {
+                body: JSON.stringify({ ...payload, attachments: encoded }),
+                headers: { 'Content-Type': 'application/json' },
+                onProgress: onProgress
+            };
+        }
+        
+        // Multipart form: every payload field plus the files under "files"
+        const formData = new FormData();
+        Object.keys(payload).forEach(key => {
+            const value = payload[key];
+            if (value !== undefined && value !== null) {
+                formData.append(key, typeof value === 'string' ? value : JSON.stringify(value));
+            }
+        });
+        attachments.forEach(attachment => formData.append('files', attachment.blob, attachment.name));
+        
+        return {
+            body: formData,
+            headers: {},
+            onProgress: onProgress
+        };
+    }
+    
+    /**
+     * Read a file as a base64 string (without the data: URL prefix)
+     * @param {Blob} blob - File content
+     * @returns {Promise<string>} Base64 data
+     */
+    readAsBase64(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+    
+    /**
+     * Validate files picked, dropped or pasted into the composer and add them
+     * to the next message; images are downscaled first
+     * @param {FileList|Array<File>} files - Files to add
+     */
+    async addAttachments(files) {
+        this.preparingAttachments++;
+        this.updateComposer();
+        try {
+            await this.prepareAttachments(files);
+        } finally {
+            this.preparingAttachments--;
+            this.renderAttachmentPreviews();
+        }
+    }
+    
+    /**
+     * Check, downscale and queue files for addAttachments()
+     * @param {FileList|Array<File>} files - Files to add
+     */
+    async prepareAttachments(files) {
+        for (const file of Array.from(files)) {
+            if (this.pendingAttachments.length >= this.options.maxAttachments) {
+                this.showComposerNotice(this.t('tooManyFiles', { count: this.options.maxAttachments }));
+                break;
+            }
+            
+            if (!this.isAllowedFileType(file.type)) {
+                this.showComposerNotice(this.t('fileTypeNotAllowed', { name: file.name }));
+                continue;
+            }
+            
+            let blob = file;
+            try {
+                blob = await this.downscaleImage(file);
+            } catch (error) {
+                this.log('warn', 'Could not downscale image, sending the original:', error);
+            }
+            
+            if (blob.size > this.options.maxFileSize) {
+                this.showComposerNotice(this.t('fileTooLarge', {
+                    name: file.name,
+                    size: this.formatFileSize(this.options.maxFileSize)
+                }));
+                continue;
+            }
+            
+            this.pendingAttachments.push({
+                blob: blob,
+                name: file.name,
+                type: blob.type || file.type,
+                size: blob.size,
+                previewUrl: blob.type.startsWith('image/') ? URL.createObjectURL(blob) : null
+            });
+        }
+    }
+    
+    /**
+     * Check a MIME type against allowedFileTypes ('image/*' style wildcards allowed)
+     * @param {string} type - MIME type
+     * @returns {boolean}
+     */
+    isAllowedFileType(type) {
+        return this.options.allowedFileTypes.some(allowed => (
+            allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed
+        ));
+    }
+    
+    /**
+     * Shrink an image so neither side exceeds imageMaxDimension
+     * GIFs (possibly animated) and other files are returned unchanged
+     * @param {File} file - The picked file
+     * @returns {Promise<Blob>} The downscaled image or the original file
+     */
+    async downscaleImage(file) {
+        const maxDimension = this.options.imageMaxDimension;
+        if (!maxDimension || !['image/jpeg', 'image/png', 'image/webp'].includes(file.type)) {
+            return file;
+        }
+        
+        const url = URL.createObjectURL(file);
+        try {
+            const image = await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error(`Could not read image ${file.name}`));
+                img.src = url;
+            });
+            
+            const scale = Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+            if (scale === 1) {
+                return file;
+            }
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.naturalWidth * scale);
+            canvas.height = Math.round(image.naturalHeight * scale);
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, file.type, this.options.imageQuality));
+            return blob && blob.size < file.size ? blob : file;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+    
+    /**
+     * Format a byte count for display (e.g. "10 MB")
+     * @param {number} bytes - Size in bytes
+     * @returns {string}
+     */
+    formatFileSize(bytes) {
+        if (bytes >= 1024 * 1024) {
+            return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+        }
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+    
+    /**
+     * Show the files waiting to be sent, each with a remove button
+     */
+    renderAttachmentPreviews() {
+        if (!this.attachmentPreviews) return;
+        
+        this.updateComposer();
+        this.attachmentPreviews.textContent = '';
+        this.attachmentPreviews.hidden = this.pendingAttachments.length === 0;
+        
+        this.pendingAttachments.forEach(attachment => {
+            const preview = document.createElement('div');
+            preview.className = 'chat-attachment-preview';
+            preview.appendChild(this.createAttachmentThumbnail(attachment));
+            
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'chat-attachment-remove';
+            removeButton.setAttribute('aria-label', this.t('removeAttachment', { name: attachment.name }));
+            removeButton.innerHTML = '<span aria-hidden="true">&times;</span>';
+            removeButton.addEventListener('click', () => {
+                this.pendingAttachments = this.pendingAttachments.filter(item => item !== attachment);
+                if (attachment.previewUrl) {
+                    URL.revokeObjectURL(attachment.previewUrl);
+                }
+                this.renderAttachmentPreviews();
+                this.messageInput.focus();
+            });
+            
+            preview.appendChild(removeButton);
+            this.attachmentPreviews.appendChild(preview);
+        });
+    }
+    
+    /**
+     * Create the thumbnail of an image, or a file chip with its name
+     * @param {Object} attachment - { name, type, previewUrl }
+     * @returns {HTMLElement}
+     */
+    createAttachmentThumbnail(attachment) {
+        if (attachment.previewUrl) {
+            const image = document.createElement('img');
+            image.className = 'chat-attachment-thumbnail';
+            image.src = attachment.previewUrl;
+            image.alt = attachment.name;
+            return image;
+        }
+        
+        const chip = document.createElement('span');
+        chip.className = 'chat-attachment-file';
+        chip.textContent = `📎 ${attachment.name}`;
+        return chip;
+    }
+    
+    /**
+     * Create the list of attachments shown inside a user bubble
+     * @param {Array} attachments - Prepared files, or { name, type } entries restored from the history
+     * @returns {HTMLElement}
+     */
+    createAttachmentList(attachments) {
+        const list = document.createElement('div');
+        list.className = 'chat-message-attachments';
+        attachments.forEach(attachment => list.appendChild(this.createAttachmentThumbnail(attachment)));
+        return list;
+    }
+    
+    /**
+     * Show or update the upload progress bar inside a user bubble
+     * @param {HTMLElement} messageElement - The user bubble
+     * @param {number|null} fraction - Progress from 0 to 1, or null to remove the bar
+     */
+    setUploadProgress(messageElement, fraction) {
+        let progress = messageElement.querySelector('.chat-upload-progress');
+        if (fraction === null) {
+            if (progress) {
+                progress.remove();
+            }
+            return;
+        }
+        
+        if (!progress) {
+            progress = document.createElement('div');
+            progress.className = 'chat-upload-progress';
+            progress.setAttribute('role', 'progressbar');
+            progress.setAttribute('aria-label', this.t('uploading'));
+            progress.setAttribute('aria-valuemin', '0');
+            progress.setAttribute('aria-valuemax', '100');
+            progress.appendChild(document.createElement('div'));
+            messageElement.appendChild(progress);
+        }
+        
+        const percent = Math.round(fraction * 100);
+        progress.setAttribute('aria-valuenow', String(percent));
+        progress.firstChild.style.width = `${percent}%`;
+    }
+    
+    /**
+     * Show a short-lived notice above the input (e.g. a rejected file)
+     * @param {string} text - Notice text
+     */
+    showComposerNotice(text) {
+        this.composerNotice.textContent = text;
+        this.composerNotice.hidden = false;
+        
+        clearTimeout(this.composerNoticeTimer);
+        this.composerNoticeTimer = setTimeout(() => {
+            this.composerNotice.hidden = true;
+        }, 5000);
+    }
+    
+    /**
+     * Read a response body as text; the headers arriving does not mean the body follows,
+     * so the read is given up after requestTimeout
+     * @param {Response} response - The fetch response
+     * @param {AbortSignal} signal - Rejects with an AbortError when aborted
+     * @returns {Promise<string>} The body text
+     */
+    readResponseText(response, signal) {
+        return new Promise((resolve, reject) => {
+            const timeout = this.options.requestTimeout;
+            const timer = timeout ? setTimeout(() => {
+                cleanup();
+                reject(new Error(`Response body timed out after ${timeout}ms`));
+            }, timeout) : null;
+            const onAbort = () => {
+                cleanup();
+                reject(new DOMException('Aborted', 'AbortError'));
+            };
+            const cleanup = () => {
+                clearTimeout(timer);
+                signal.removeEventListener('abort', onAbort);
+            };
+            
+            signal.addEventListener('abort', onAbort, { once: true });
+            response.text().then(text => {
+                cleanup();
+                resolve(text);
+            }, error => {
+                cleanup();
+                reject(error);
+            });
+        });
+    }
+    
+    /**
+     * Wait for a number of milliseconds
+     * @param {number} ms - Delay
+     * @param {AbortSignal} [signal] - Rejects with an AbortError when aborted
+     */
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('Aborted', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+    
+    /**
+     * Hold a message in the outbox until the browser is back online
+     * @param {string} message - Message text
+     * @param {HTMLElement} messageElement - The user bubble
+     * @param {Array} [attachments] - Prepared files sent with the message
+     */
+    queueMessage(message, messageElement, attachments = []) {
+        this.outbox.push({ message: message, messageElement: messageElement, attachments: attachments });
+        this.setMessageStatus(messageElement, 'queued');
+    }
+    
+    /**
+     * Send the messages held while offline, in order
+     */
+    async flushOutbox() {
+        if (this.flushingOutbox) return;
+        this.flushingOutbox = true;
+        
+        try {
+            while (this.outbox.length > 0 && navigator.onLine) {
+                const { message, messageElement, attachments } = this.outbox.shift();
+                this.setMessageStatus(messageElement, null);
+                await this.deliverMessage(message, messageElement, attachments);
+            }
+        } finally {
+            this.flushingOutbox = false;
+        }
+    }
+    
+    /**
+     * Send a failed message again
+     * @param {string} message - Message text
+     * @param {HTMLElement} messageElement - The failed user bubble
+     * @param {Array} [attachments] - Prepared files sent with the message
+     */
+    retryMessage(message, messageElement, attachments = []) {
+        this.setMessageStatus(messageElement, null);
+        
+        if (!navigator.onLine) {
+            this.queueMessage(message, messageElement, attachments);
+            return;
+        }
+        this.deliverMessage(message, messageElement, attachments);
+    }
+    
+    /**
+     * Show a delivery status below a user bubble; 'sent' is only kept on the latest message
+     * @param {HTMLElement} messageElement - The user bubble
+     * @param {string|null} status - 'sending', 'sent', 'failed', 'queued' or null to clear the status
+     * @param {Function} [onRetry] - Called when a failed status is clicked
+     */
+    setMessageStatus(messageElement, status, onRetry) {
+        const messageContainer = messageElement && messageElement.parentElement;
+        const meta = messageContainer && messageContainer.querySelector('.chat-message-meta');
+        if (!meta) return;
+        
+        const existingStatus = meta.querySelector('.chat-message-status');
+        if (existingStatus) {
+            existingStatus.remove();
+        }
+        messageElement.classList.remove('chat-message-sending', 'chat-message-sent', 'chat-message-failed', 'chat-message-queued');
+        
+        if (!status) return;
+        
+        if (status === 'sent') {
+            this.messagesContainer.querySelectorAll('.chat-message-sent').forEach(element => this.setMessageStatus(element, null));
+        }
+        messageElement.classList.add(`chat-message-${status}`);
+        
+        // The status follows the time below the bubble; a failed status is a retry button
+        const statusElement = document.createElement(status === 'failed' ? 'button' : 'span');
+        statusElement.className = `chat-message-status chat-message-status-${status}`;
+        
+        if (status === 'failed') {
+            statusElement.type = 'button';
+            statusElement.textContent = this.t('statusFailed');
+            statusElement.addEventListener('click', onRetry, { once: true });
+        } else {
+            const statusKeys = { sending: 'statusSending', sent: 'statusSent', queued: 'statusQueued' };
+            statusElement.textContent = this.t(statusKeys[status]);
+        }
+        
+        meta.appendChild(statusElement);
+        this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+    }
+    
+    /**
+     * Abort the pending webhook request or streamed reply, if any
+     */
+    cancelReply() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+    }
+    
+    /**
+     * Decide whether a webhook response should be read as a stream
+     * @param {Response} response - The fetch response
+     * @returns {string|null} 'sse', 'ndjson' or null for a regular response
+     */
+    getStreamFormat(response) {
+        if (!this.options.streaming || !response.body) {
+            return null;
+        }
+        
+        if (this.options.streamFormat === 'sse' || this.options.streamFormat === 'ndjson') {
+            return this.options.streamFormat;
+        }
+        
+        // Auto-detect from the Content-Type header
+        const contentType = (response.headers.get('content-type') || '').toLowerCase();
+        if (contentType.includes('text/event-stream')) {
+            return 'sse';
+        }
+        if (contentType.includes('ndjson') || contentType.includes('jsonl')) {
+            return 'ndjson';
+        }
+        return null;
+    }
+    
+    /**
+     * Read a streamed webhook response and grow a single bot bubble as chunks arrive.
+     * The loading indicator is replaced by the bubble on the first chunk; text received
+     * before an error or abort is kept in the chat and the history.
+     * @param {Response} response - The fetch response with a readable body
+     * @param {string} format - 'sse' or 'ndjson'
+     * @param {AbortSignal} [signal] - Stops reading when aborted
+     * @returns {Promise<string>} The full reply text
+     */
+    async readStreamingResponse(response, format, signal) {
+        const reader = response.body.getReader();
+        
+        // Announce the reply once complete rather than token by token
+        this.messagesContainer.setAttribute('aria-busy', 'true');
+        
+        // Stop reading as soon as the reply is cancelled
+        const onAbort = () => reader.cancel().catch(() => {});
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+        
+        // A stream that sends nothing for requestTimeout is given up, keeping what arrived
+        const idleTimeout = this.options.requestTimeout;
+        let stalled = false;
+        let idleTimer = null;
+        const resetIdleTimer = () => {
+            clearTimeout(idleTimer);
+            if (idleTimeout) {
+                idleTimer = setTimeout(() => {
+                    stalled = true;
+                    reader.cancel().catch(() => {});
+                }, idleTimeout);
+            }
+        };
+        
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let replyText = '';
+        let messageElement = null;
+        let done = false;
+        
+        // SSE events are made of several lines, collected until a blank line
+        let eventName = 'message';
+        let eventData = [];
+        
+        // Append a piece of text to the bot bubble, creating it on the first chunk
+        const appendText = (text) => {
+            if (!text) return;
+            replyText += text;
+            if (!messageElement) {
+                messageElement = this.addMessage(replyText, 'bot', { persist: false });
+            } else {
+                this.setMessageContent(messageElement, replyText, 'bot');
+                this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+            }
+        };
+        
+        // Handle one decoded chunk (an SSE event or an NDJSON line)
+        const handleChunk = (data, isError) => {
+            if (data === '[DONE]') {
+                done = true;
+                return;
+            }
+            
+            let parsed = data;
+            try {
+                parsed = JSON.parse(data);
+            } catch (parseError) {
+                // SSE data may be plain text; NDJSON lines must be JSON
+                if (format === 'ndjson') {
+                    this.log('warn', 'Skipping malformed stream line:', data);
+                    return;
+                }
+            }
+            
+            // A plain-text token that happens to be JSON (42, true, null) stays text
+            if (typeof parsed !== 'string' && (!parsed || typeof parsed !== 'object')) {
+                parsed = data;
+            }
+            
+            if (isError || (parsed && parsed.type === 'error')) {
+                const reason = typeof parsed === 'string' ? parsed : parsed.message || parsed.content || 'stream error';
+                throw new Error(`Stream error: ${reason}`);
+            }
+            if (parsed && parsed.type === 'end') {
+                done = true;
+                return;
+            }
+            
+            appendText(this.extractStreamText(parsed));
+        };
+        
+        const handleLine = (line) => {
+            if (format === 'ndjson') {
+                if (line.trim()) {
+                    handleChunk(line.trim(), false);
+                }
+                return;
+            }
+            
+            // Server-Sent Events
+            if (line === '') {
+                if (eventData.length > 0) {
+                    handleChunk(eventData.join('\n'), eventName === 'error');
+                }
+                eventName = 'message';
+                eventData = [];
+            } else if (line.startsWith('data:')) {
+                eventData.push(line.substring(5).replace(/^ /, ''));
+            } else if (line.startsWith('event:')) {
+                eventName = line.substring(6).trim();
+            }
+            // Comments (":") and other fields such as id/retry are ignored
+        };
+        
+        try {
+            resetIdleTimer();
+            while (!done) {
+                const result = await reader.read();
+                if (stalled) {
+                    throw new Error(`Stream stalled for ${idleTimeout}ms`);
+                }
+                if (result.done) {
+                    break;
+                }
+                resetIdleTimer();
+                
+                buffer += decoder.decode(result.value, { stream: true });
+                const lines = buffer.split(/\r?\n/);
+                buffer = lines.pop();
+                for (const line of lines) {
+                    handleLine(line);
+                    if (done) break;
+                }
+            }
+            
+            // Flush whatever is left once the stream ends
+            if (!done) {
+                buffer += decoder.decode();
+                if (buffer) {
+                    handleLine(buffer);
+                }
+                handleLine('');
+            }
+        } finally {
+            clearTimeout(idleTimer);
+            this.messagesContainer.removeAttribute('aria-busy');
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            if (done) {
+                reader.cancel().catch(() => {});
+            }
+            
+            // Keep the partial or complete reply in the transcript
+            if (replyText) {
+                this.recordHistory(replyText, 'bot', undefined, { id: this.getMessageId(messageElement) });
+            }
+        }
+        
+        // Nothing arrived at all: behave like an empty regular response
+        if (signal && signal.aborted) {
+            this.removeLoadingIndicators();
+        } else if (!messageElement) {
+            this.log('warn', 'Stream ended without any content');
+            this.addMessage(this.t('fallbackReply'), 'bot');
+        }
+        
+        return replyText;
+    }
+    
+    /**
+     * Extract the text of a streamed chunk
+     * Uses the stream paths of the response adapter when it has some, otherwise supports
+     * plain strings, n8n items ({ type: 'item', content }) and common token fields,
+     * including OpenAI-style { choices: [{ delta: { content } }] }
+     * @param {*} chunk - Parsed chunk
+     * @returns {string} Text to append (may be empty)
+     */
+    extractStreamText(chunk) {
+        if (typeof chunk === 'string') {
+            return chunk;
+        }
+        if (!chunk || typeof chunk !== 'object') {
+            return '';
+        }
+        
+        const adapter = this.getResponseAdapter();
+        if (adapter.stream) {
+            return this.getMappedValues(chunk, adapter.stream).filter(value => typeof value === 'string').join('');
+        }
+        
+        const textFields = ['content', 'token', 'text', 'delta', 'response', 'message'];
+        for (const field of textFields) {
+            if (typeof chunk[field] === 'string') {
+                return chunk[field];
+            }
+        }
+        
+        if (Array.isArray(chunk.choices) && chunk.choices[0] && chunk.choices[0].delta &&
+            typeof chunk.choices[0].delta.content === 'string') {
+            return chunk.choices[0].delta.content;
+        }
+        
+        return '';
+    }
+}
+
+// Stylesheet of the widget's shadow root; colors, fonts and sizes come from the
+// custom properties below, set through the theme option
+ChatBubbleWidget.styles = `
+    :host {
+        all: initial;
+        --chat-primary: #4a86e8;
+        --chat-on-primary: #ffffff;
+        --chat-background: #ffffff;
+        --chat-surface: #f8f9fa;
+        --chat-bot-bubble: #ffffff;
+        --chat-bot-text: #333333;
+        --chat-text: #333333;
+        --chat-muted: #888888;
+        --chat-border: #e0e0e0;
+        --chat-error: #d93025;
+        --chat-font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+        --chat-font-size: 14px;
+        --chat-radius: 16px;
+        --chat-bubble-radius: 18px;
+        --chat-launcher-size: 65px;
+        --chat-window-width: 350px;
+        --chat-window-height: 500px;
+        --chat-offset-x: 20px;
+        --chat-offset-y: 20px;
+        --chat-z-index: 9999;
+    }
+    
+    /* Inline chats fill the element they are rendered into */
+    :host([data-layout="inline"]) {
+        display: block;
+        height: 100%;
+    }
+    
+    /* Dark defaults, used with theme.mode 'dark' or 'auto' on a dark system */
+    :host([data-theme-mode="dark"]) {
+        --chat-background: #1f2023;
+        --chat-surface: #141517;
+        --chat-bot-bubble: #2b2d31;
+        --chat-bot-text: #e8e8e8;
+        --chat-text: #e8e8e8;
+        --chat-muted: #9a9a9a;
+        --chat-border: #3a3c40;
+        --chat-error: #ff6b61;
+    }
+    
+    @media (prefers-color-scheme: dark) {
+        :host([data-theme-mode="auto"]) {
+            --chat-background: #1f2023;
+            --chat-surface: #141517;
+            --chat-bot-bubble: #2b2d31;
+            --chat-bot-text: #e8e8e8;
+            --chat-text: #e8e8e8;
+            --chat-muted: #9a9a9a;
+            --chat-border: #3a3c40;
+            --chat-error: #ff6b61;
+        }
+    }
+    
+    .chat-bubble-widget {
+        position: fixed;
+        bottom: var(--chat-offset-y);
+        z-index: var(--chat-z-index);
+        font-family: var(--chat-font-family);
+        color: var(--chat-text);
+    }
+    
+    .chat-position-right {
+        right: var(--chat-offset-x);
+    }
+    
+    .chat-position-left {
+        left: var(--chat-offset-x);
+    }
+    
+    .chat-bubble-widget.chat-inline {
+        position: relative;
+        bottom: auto;
+        z-index: auto;
+        height: 100%;
+    }
+    
+    .chat-inline .chat-window {
+        position: relative;
+        bottom: auto;
+        width: 100%;
+        height: 100%;
+        min-height: 300px;
+        box-sizing: border-box;
+        box-shadow: none;
+    }
+    
+    .chat-bubble-button {
+        position: relative;
+        padding: 0;
+        border: none;
+        width: var(--chat-launcher-size);
+        height: var(--chat-launcher-size);
+        border-radius: 50%;
+        background-color: var(--chat-primary);
+        color: var(--chat-on-primary);
+        cursor: pointer;
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        box-shadow: 0 4px 8px rgba(0, 0, 0, 0.2);
+    }
+    
+    .chat-unread-badge {
+        position: absolute;
+        top: -2px;
+        inset-inline-end: -2px;
+        min-width: 20px;
+        height: 20px;
+        padding: 0 6px;
+        box-sizing: border-box;
+        border-radius: 10px;
+        background-color: var(--chat-error);
+        color: #ffffff;
+        font-size: 12px;
+        font-weight: bold;
+        line-height: 20px;
+        text-align: center;
+    }
+    
+    .chat-unread-badge[hidden] {
+        display: none;
+    }
+    
+    /* Proactive teaser next to the launcher */
+    .chat-teaser {
+        position: absolute;
+        bottom: calc(var(--chat-launcher-size) + 12px);
+        width: max-content;
+        max-width: 260px;
+        display: flex;
+        align-items: flex-start;
+        gap: 8px;
+        padding: 12px 14px;
+        border-radius: 12px;
+        border: 1px solid rgba(0, 0, 0, 0.08);
+        background-color: var(--chat-background);
+        color: var(--chat-text);
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+        animation: chat-teaser-in 0.3s ease-out;
+    }
+    
+    .chat-position-right .chat-teaser {
+        right: 0;
+    }
+    
+    .chat-position-left .chat-teaser {
+        left: 0;
+    }
+    
+    .chat-teaser-text {
+        padding: 0;
+        border: none;
+        background: none;
+        font: inherit;
+        font-size: 14px;
+        line-height: 1.4;
+        color: inherit;
+        text-align: start;
+        cursor: pointer;
+    }
+    
+    .chat-teaser-close {
+        flex-shrink: 0;
+        padding: 0;
+        border: none;
+        background: none;
+        font-size: 18px;
+        line-height: 1;
+        color: var(--chat-muted);
+        cursor: pointer;
+    }
+    
+    @keyframes chat-teaser-in {
+        from {
+            opacity: 0;
+            transform: translateY(8px);
+        }
+    }
+    
+    .chat-window {
+        position: absolute;
+        bottom: calc(var(--chat-launcher-size) + 5px);
+        width: var(--chat-window-width);
+        height: var(--chat-window-height);
+        background-color: var(--chat-background);
+        border-radius: var(--chat-radius);
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+        display: flex;
+        flex-direction: column;
+        overflow: hidden;
+        border: 1px solid rgba(0, 0, 0, 0.08);
+    }
+    
+    .chat-window[hidden] {
+        display: none;
+    }
+    
+    .chat-position-right .chat-window {
+        right: 0;
+    }
+    
+    .chat-position-left .chat-window {
+        left: 0;
+    }
+    
+    .chat-header {
+        padding: 15px;
+        background-color: var(--chat-primary);
+        color: var(--chat-on-primary);
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+    }
+    
+    .chat-header-info {
+        display: flex;
+        align-items: center;
+    }
+    
+    .chat-header-avatar-wrapper {
+        position: relative;
+        display: flex;
+        flex-shrink: 0;
+        margin-inline-end: 10px;
+    }
+    
+    .chat-header-avatar {
+        width: 32px;
+        height: 32px;
+        border-radius: 50%;
+        border: 2px solid white;
+    }
+    
+    .chat-presence-dot {
+        position: absolute;
+        bottom: 0;
+        inset-inline-end: 0;
+        width: 10px;
+        height: 10px;
+        border-radius: 50%;
+        border: 2px solid var(--chat-primary);
+        background-color: #34a853;
+    }
+    
+    .chat-presence-away {
+        background-color: #fbbc04;
+    }
+    
+    .chat-presence-offline {
+        background-color: #9aa0a6;
+    }
+    
+    .chat-header-text {
+        display: flex;
+        flex-direction: column;
+    }
+    
+    .chat-header-title {
+        font-weight: bold;
+        font-size: 16px;
+    }
+    
+    .chat-header-subtitle {
+        font-size: 12px;
+        opacity: 0.9;
+    }
+    
+    .chat-close-button {
+        background: none;
+        border: none;
+        color: inherit;
+        cursor: pointer;
+        font-size: 20px;
+        padding: 0;
+        line-height: 1;
+    }
+    
+    .chat-header-button {
+        display: flex;
+        margin-inline-start: auto;
+        margin-inline-end: 12px;
+        padding: 0;
+        border: none;
+        background: none;
+        color: inherit;
+        cursor: pointer;
+    }
+    
+    .chat-header-button + .chat-header-button {
+        margin-inline-start: 0;
+    }
+    
+    /* Transcript menu, dropping down below the header */
+    .chat-transcript-menu {
+        position: absolute;
+        top: 60px;
+        inset-inline-end: 10px;
+        z-index: 3;
+        display: flex;
+        flex-direction: column;
+        min-width: 200px;
+        padding: 6px 0;
+        border: 1px solid var(--chat-border);
+        border-radius: 8px;
+        background-color: var(--chat-background);
+        color: var(--chat-text);
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+        font-size: 14px;
+    }
+    
+    .chat-transcript-item {
+        padding: 8px 14px;
+        border: none;
+        background: none;
+        color: inherit;
+        font: inherit;
+        text-align: start;
+        cursor: pointer;
+    }
+    
+    .chat-transcript-item:hover,
+    .chat-transcript-item:focus-visible {
+        background-color: var(--chat-surface);
+        outline: none;
+    }
+    
+    .chat-transcript-email {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        padding: 8px 14px;
+    }
+    
+    .chat-transcript-email input {
+        padding: 8px 10px;
+        border: 1px solid var(--chat-border);
+        border-radius: 8px;
+        background-color: var(--chat-background);
+        color: var(--chat-text);
+        font: inherit;
+    }
+    
+    .chat-transcript-send {
+        padding: 8px;
+        border: none;
+        border-radius: 8px;
+        background-color: var(--chat-primary);
+        color: var(--chat-on-primary);
+        font: inherit;
+        cursor: pointer;
+    }
+    
+    .chat-transcript-send:disabled {
+        opacity: 0.6;
+        cursor: default;
+    }
+    
+    /* Diagnostics panel, covering the chat window */
+    .chat-diagnostics {
+        position: absolute;
+        inset: 0;
+        z-index: 2;
+        display: flex;
+        flex-direction: column;
+        background-color: var(--chat-background);
+        color: var(--chat-text);
+        font-size: 12px;
+    }
+    
+    .chat-diagnostics-header,
+    .chat-diagnostics-session {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 10px 15px;
+        border-bottom: 1px solid var(--chat-border);
+    }
+    
+    .chat-diagnostics-header strong {
+        flex: 1;
+        font-size: 14px;
+    }
+    
+    .chat-diagnostics-session code {
+        flex: 1;
+        overflow: hidden;
+        text-overflow: ellipsis;
+    }
+    
+    .chat-diagnostics-action {
+        padding: 2px 8px;
+        border: 1px solid var(--chat-border);
+        border-radius: 4px;
+        background: none;
+        color: inherit;
+        font: inherit;
+        cursor: pointer;
+    }
+    
+    .chat-diagnostics-list {
+        flex: 1;
+        margin: 0;
+        padding: 0;
+        overflow-y: auto;
+        list-style: none;
+    }
+    
+    .chat-diagnostics-entry,
+    .chat-diagnostics-empty {
+        padding: 6px 15px;
+        border-bottom: 1px solid var(--chat-border);
+        word-break: break-word;
+    }
+    
+    .chat-diagnostics-failed {
+        color: #d93025;
+    }
+    
+    .chat-diagnostics-entry summary {
+        cursor: pointer;
+    }
+    
+    .chat-diagnostics-label {
+        margin-top: 6px;
+        font-weight: bold;
+        color: var(--chat-text);
+    }
+    
+    .chat-diagnostics-entry pre {
+        max-height: 160px;
+        margin: 2px 0 0;
+        padding: 6px;
+        overflow: auto;
+        border-radius: 4px;
+        background-color: var(--chat-surface);
+        color: var(--chat-text);
+        white-space: pre-wrap;
+    }
+    
+    .chat-messages {
+        flex: 1;
+        padding: 15px;
+        overflow-y: auto;
+        background-color: var(--chat-surface);
+    }
+    
+    .chat-input-area[hidden] {
+        display: none;
+    }
+    
+    /* Pre-chat form */
+    .chat-lead-form {
+        flex: 1;
+        display: flex;
+        flex-direction: column;
+        gap: 12px;
+        padding: 20px;
+        overflow-y: auto;
+        background-color: var(--chat-surface);
+        color: var(--chat-text);
+    }
+    
+    /* Contact form shown instead of the composer while offline */
+    .chat-offline-form {
+        display: flex;
+        flex-direction: column;
+        gap: 10px;
+        max-height: 65%;
+        padding: 15px;
+        overflow-y: auto;
+        border-top: 1px solid var(--chat-border);
+        background-color: var(--chat-background);
+        color: var(--chat-text);
+    }
+    
+    .chat-lead-submit:disabled {
+        opacity: 0.6;
+        cursor: default;
+    }
+    
+    .chat-lead-intro {
+        margin: 0;
+        line-height: 1.4;
+    }
+    
+    .chat-lead-field {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        font-size: 13px;
+    }
+    
+    .chat-lead-field input:not([type="checkbox"]),
+    .chat-lead-field textarea {
+        padding: 10px 12px;
+        border: 1px solid var(--chat-border);
+        border-radius: 8px;
+        font-family: inherit;
+        font-size: 16px;
+        color: var(--chat-text);
+        background-color: var(--chat-background);
+    }
+    
+    .chat-lead-field textarea {
+        min-height: 80px;
+        resize: vertical;
+    }
+    
+    .chat-lead-field input:focus-visible,
+    .chat-lead-field textarea:focus-visible {
+        outline: 2px solid var(--chat-primary);
+        outline-offset: 1px;
+    }
+    
+    .chat-lead-field input[aria-invalid="true"],
+    .chat-lead-field textarea[aria-invalid="true"] {
+        border-color: var(--chat-error);
+    }
+    
+    .chat-lead-required,
+    .chat-lead-error {
+        color: var(--chat-error);
+    }
+    
+    .chat-lead-error {
+        font-size: 12px;
+    }
+    
+    .chat-lead-consent label {
+        display: flex;
+        align-items: flex-start;
+        gap: 8px;
+        line-height: 1.4;
+    }
+    
+    .chat-lead-consent input {
+        margin: 2px 0 0;
+        flex-shrink: 0;
+    }
+    
+    .chat-lead-privacy {
+        padding-inline-start: 24px;
+        color: var(--chat-primary);
+    }
+    
+    .chat-lead-submit {
+        padding: 12px;
+        border: none;
+        border-radius: 20px;
+        font-family: inherit;
+        font-size: 14px;
+        cursor: pointer;
+        background-color: var(--chat-primary);
+        color: var(--chat-on-primary);
+    }
+    
+    .chat-input-area {
+        padding: 15px;
+        border-top: 1px solid var(--chat-border);
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        background-color: var(--chat-background);
+        position: relative;
+    }
+    
+    .chat-input-wrapper {
+        display: flex;
+        width: 100%;
+        position: relative;
+        align-items: flex-end;
+        border: 1px solid var(--chat-border);
+        border-radius: 24px;
+        overflow: hidden;
+        background-color: var(--chat-background);
+    }
+    
+    .chat-input-wrapper:focus-within {
+        border-color: var(--chat-primary);
+    }
+    
+    .chat-input {
+        flex: 1;
+        min-width: 0;
+        max-height: 120px;
+        margin: 0;
+        padding: 12px 15px;
+        border: none;
+        outline: none;
+        resize: none;
+        overflow-y: auto;
+        box-sizing: border-box;
+        font-family: inherit;
+        font-size: 16px;
+        line-height: 20px;
+        color: var(--chat-text);
+        background: transparent;
+    }
+    
+    .chat-send-button {
+        background-color: transparent;
+        border: none;
+        cursor: pointer;
+        padding: 12px 0;
+        padding-inline-end: 15px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        color: var(--chat-primary);
+    }
+    
+    .chat-send-button:disabled {
+        opacity: 0.4;
+        cursor: default;
+    }
+    
+    .chat-character-counter {
+        align-self: flex-end;
+        font-size: 11px;
+        color: var(--chat-muted);
+    }
+    
+    .chat-character-counter[hidden] {
+        display: none;
+    }
+    
+    .chat-character-counter-full {
+        color: var(--chat-error);
+    }
+    
+    /* Attachments */
+    .chat-attach-button {
+        background-color: transparent;
+        border: none;
+        cursor: pointer;
+        padding: 12px 0;
+        padding-inline-start: 12px;
+        display: flex;
+        align-items: center;
+        color: var(--chat-muted);
+    }
+    
+    .chat-window.chat-dragging .chat-input-wrapper {
+        border: 1px dashed var(--chat-primary);
+    }
+    
+    .chat-attachment-previews {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 8px;
+    }
+    
+    .chat-attachment-previews[hidden],
+    .chat-composer-notice[hidden] {
+        display: none;
+    }
+    
+    .chat-attachment-preview {
+        position: relative;
+        display: flex;
+        align-items: center;
+    }
+    
+    .chat-attachment-remove {
+        position: absolute;
+        top: -6px;
+        inset-inline-end: -6px;
+        width: 18px;
+        height: 18px;
+        padding: 0;
+        border: none;
+        border-radius: 50%;
+        background-color: var(--chat-text);
+        color: var(--chat-background);
+        font-size: 12px;
+        line-height: 18px;
+        cursor: pointer;
+    }
+    
+    .chat-attachment-thumbnail {
+        display: block;
+        width: 56px;
+        height: 56px;
+        object-fit: cover;
+        border-radius: 8px;
+        border: 1px solid var(--chat-border);
+    }
+    
+    .chat-attachment-file {
+        display: inline-block;
+        max-width: 180px;
+        padding: 6px 10px;
+        border-radius: 8px;
+        border: 1px solid var(--chat-border);
+        font-size: 12px;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+    }
+    
+    .chat-composer-notice {
+        font-size: 12px;
+        color: var(--chat-error);
+    }
+    
+    .chat-message-attachments {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+    }
+    
+    .chat-message-attachments:not(:first-child) {
+        margin-top: 8px;
+    }
+    
+    .user-message .chat-attachment-thumbnail {
+        width: 120px;
+        height: auto;
+        max-height: 160px;
+        border-color: rgba(255, 255, 255, 0.4);
+    }
+    
+    .user-message .chat-attachment-file {
+        border-color: rgba(255, 255, 255, 0.4);
+    }
+    
+    .chat-upload-progress {
+        height: 4px;
+        margin-top: 8px;
+        border-radius: 2px;
+        background-color: rgba(255, 255, 255, 0.3);
+        overflow: hidden;
+    }
+    
+    .chat-upload-progress > div {
+        width: 0;
+        height: 100%;
+        background-color: var(--chat-on-primary);
+        transition: width 0.2s;
+    }
+    
+    .chat-message-container {
+        display: flex;
+        flex-wrap: wrap;
+        margin-bottom: 16px;
+        position: relative;
+    }
+    
+    /* Messages with a time/status line below them */
+    .chat-message-container[data-message-id] {
+        margin-bottom: 4px;
+    }
+    
+    .chat-day-separator {
+        margin: 8px 0 16px;
+        text-align: center;
+        font-size: 12px;
+        color: var(--chat-muted);
+    }
+    
+    .chat-message-meta {
+        display: flex;
+        flex-basis: 100%;
+        align-items: center;
+        gap: 6px;
+        min-height: 20px;
+        margin-top: 2px;
+        font-size: 11px;
+        color: var(--chat-muted);
+    }
+    
+    .user-container .chat-message-meta {
+        justify-content: flex-end;
+    }
+    
+    .bot-container .chat-message-meta {
+        padding-inline-start: 46px;
+    }
+    
+    /* Time and actions appear on hover or keyboard focus */
+    .chat-message-time,
+    .chat-message-action {
+        opacity: 0;
+        transition: opacity 0.15s;
+    }
+    
+    .chat-message-container:hover .chat-message-time,
+    .chat-message-container:hover .chat-message-action,
+    .chat-message-meta:focus-within .chat-message-time,
+    .chat-message-meta:focus-within .chat-message-action,
+    .chat-message-action[aria-pressed="true"] {
+        opacity: 1;
+    }
+    
+    .chat-message-action {
+        display: flex;
+        padding: 2px;
+        border: none;
+        border-radius: 4px;
+        background: none;
+        color: inherit;
+        cursor: pointer;
+    }
+    
+    .chat-message-action:hover,
+    .chat-message-action[aria-pressed="true"],
+    .chat-action-done {
+        color: var(--chat-primary);
+    }
+    
+    .chat-feedback-form {
+        display: flex;
+        flex-basis: 100%;
+        gap: 6px;
+        margin: 4px 0 8px;
+        padding-inline-start: 46px;
+        box-sizing: border-box;
+    }
+    
+    .chat-feedback-comment {
+        flex: 1;
+        min-width: 0;
+        padding: 6px 10px;
+        border: 1px solid var(--chat-border);
+        border-radius: 8px;
+        background-color: var(--chat-background);
+        color: var(--chat-text);
+        font: inherit;
+        font-size: 13px;
+    }
+    
+    .chat-feedback-submit,
+    .chat-feedback-skip {
+        padding: 6px 10px;
+        border: none;
+        border-radius: 8px;
+        font: inherit;
+        font-size: 13px;
+        cursor: pointer;
+    }
+    
+    .chat-feedback-submit {
+        background-color: var(--chat-primary);
+        color: var(--chat-on-primary);
+    }
+    
+    .chat-feedback-skip {
+        background: none;
+        color: var(--chat-muted);
+    }
+    
+    .chat-avatar {
+        width: 36px;
+        height: 36px;
+        border-radius: 50%;
+        margin-inline-end: 10px;
+        align-self: flex-start;
+    }
+    
+    /* Keeps consecutive bot messages aligned: 36px avatar + 10px margin */
+    .chat-avatar-spacer {
+        width: 46px;
+        flex-shrink: 0;
+    }
+    
+    .chat-message {
+        padding: 12px 16px;
+        border-radius: var(--chat-bubble-radius);
+        max-width: 80%;
+        word-break: break-word;
+        box-shadow: 0 1px 2px rgba(0, 0, 0, 0.05);
+        line-height: 1.4;
+        font-size: var(--chat-font-size);
+    }
+    
+    .user-message {
+        max-width: 85%;
+        background-color: var(--chat-primary);
+        color: var(--chat-on-primary);
+        margin-inline-start: auto;
+        border-end-end-radius: 4px;
+        /* Lines typed with Shift+Enter are kept */
+        white-space: pre-wrap;
+    }
+    
+    .bot-message {
+        background-color: var(--chat-bot-bubble);
+        color: var(--chat-bot-text);
+        margin-inline-end: auto;
+        border-end-start-radius: 4px;
+        border: 1px solid rgba(0, 0, 0, 0.05);
+    }
+    
+    /* Markdown content of bot messages */
+    .chat-message p {
+        margin: 8px 0 0;
+    }
+    
+    .chat-message ul,
+    .chat-message ol {
+        margin: 6px 0 0;
+        padding-inline-start: 20px;
+    }
+    
+    .chat-message > :first-child {
+        margin-top: 0;
+    }
+    
+    .chat-message li {
+        margin: 2px 0;
+    }
+    
+    .chat-message-heading {
+        font-weight: bold;
+    }
+    
+    .chat-message pre {
+        margin: 8px 0;
+        padding: 8px 10px;
+        background-color: rgba(0, 0, 0, 0.05);
+        border-radius: 6px;
+        overflow-x: auto;
+        white-space: pre-wrap;
+    }
+    
+    .chat-message code {
+        font-family: monospace;
+        font-size: 13px;
+    }
+    
+    .chat-message :not(pre) > code {
+        padding: 1px 4px;
+        border-radius: 4px;
+        background-color: rgba(0, 0, 0, 0.06);
+    }
+    
+    .chat-message a {
+        color: inherit;
+        text-decoration: underline;
+    }
+    
+    /* Delivery status below user messages */
+    .chat-message-failed,
+    .chat-message-queued {
+        opacity: 0.6;
+    }
+    
+    .chat-message-status {
+        font-size: 12px;
+    }
+    
+    .chat-message-status-failed {
+        padding: 0;
+        border: none;
+        background: none;
+        font-family: inherit;
+        color: var(--chat-error);
+        cursor: pointer;
+    }
+    
+    /* Loading indicator */
+    .chat-loading {
+        display: flex;
+        padding: 12px 16px;
+        background-color: var(--chat-bot-bubble);
+        border-radius: var(--chat-bubble-radius);
+        border-end-start-radius: 4px;
+        align-items: center;
+        box-shadow: 0 1px 2px rgba(0, 0, 0, 0.05);
+        border: 1px solid rgba(0, 0, 0, 0.05);
+    }
+    
+    .chat-loading-dot {
+        width: 10px;
+        height: 10px;
+        background-color: #cccccc;
+        border-radius: 50%;
+        margin-inline-end: 5px;
+        animation: pulse 1.5s infinite;
+    }
+    
+    .chat-loading-dot:nth-child(2) {
+        animation-delay: 0.3s;
+    }
+    
+    .chat-loading-dot:nth-child(3) {
+        margin-inline-end: 0;
+        animation-delay: 0.6s;
+    }
+    
+    @keyframes pulse {
+        0% { opacity: 0.3; }
+        50% { opacity: 1; }
+        100% { opacity: 0.3; }
+    }
+    
+    /* Quick replies */
+    .chat-quick-replies {
+        display: flex;
+        flex-wrap: wrap;
+        justify-content: flex-end;
+        gap: 6px;
+        margin-bottom: 16px;
+    }
+    
+    .chat-quick-reply {
+        padding: 6px 12px;
+        border: 1px solid var(--chat-primary);
+        border-radius: 16px;
+        background-color: var(--chat-background);
+        color: var(--chat-primary);
+        font-family: inherit;
+        font-size: 13px;
+        cursor: pointer;
+    }
+    
+    /* Images, product cards and carousels */
+    .chat-rich-content {
+        max-width: 80%;
+        min-width: 0;
+    }
+    
+    .chat-image-link {
+        display: block;
+    }
+    
+    .chat-image {
+        display: block;
+        width: 100%;
+        border-radius: 12px;
+        border: 1px solid rgba(0, 0, 0, 0.05);
+    }
+    
+    .chat-product-card {
+        background-color: var(--chat-bot-bubble);
+        color: var(--chat-bot-text);
+        border: 1px solid rgba(0, 0, 0, 0.08);
+        border-radius: 12px;
+        overflow: hidden;
+        box-shadow: 0 1px 2px rgba(0, 0, 0, 0.05);
+        font-size: var(--chat-font-size);
+    }
+    
+    .chat-product-image {
+        display: block;
+        width: 100%;
+        height: 160px;
+        object-fit: cover;
+    }
+    
+    .chat-product-body {
+        padding: 10px 12px;
+    }
+    
+    .chat-product-title {
+        font-weight: bold;
+        line-height: 1.3;
+    }
+    
+    .chat-product-price {
+        margin-top: 4px;
+        color: var(--chat-primary);
+        font-weight: bold;
+    }
+    
+    .chat-product-description {
+        margin-top: 4px;
+        font-size: 13px;
+        opacity: 0.8;
+    }
+    
+    .chat-product-button {
+        display: block;
+        margin-top: 10px;
+        padding: 8px 12px;
+        border-radius: 18px;
+        text-align: center;
+        text-decoration: none;
+        background-color: var(--chat-primary);
+        color: var(--chat-on-primary);
+    }
+    
+    .chat-carousel {
+        display: flex;
+        gap: 8px;
+        overflow-x: auto;
+        scroll-snap-type: x mandatory;
+        padding-bottom: 4px;
+    }
+    
+    .chat-carousel > * {
+        flex: 0 0 180px;
+        scroll-snap-align: start;
+    }
+    
+    /* Visible keyboard focus */
+    button:focus-visible,
+    a:focus-visible,
+    .chat-messages:focus-visible {
+        outline: 2px solid var(--chat-primary);
+        outline-offset: 2px;
+    }
+    
+    .chat-header button:focus-visible {
+        outline-color: var(--chat-on-primary);
+    }
+    
+    /* No pulsing or smooth scrolling for users who prefer reduced motion */
+    @media (prefers-reduced-motion: reduce) {
+        .chat-teaser {
+            animation: none;
+        }
+        
+        .chat-message-time,
+        .chat-message-action {
+            transition: none;
+        }
         
-        // Only add avatar if it's not a consecutive bot message
-        if (!isConsecutiveBot) {
-            const avatarElement = document.createElement('img');
-            avatarElement.src = this.options.assistantAvatarUrl;
-            avatarElement.alt = this.options.assistantName;
-            avatarElement.style.width = '36px';
-            avatarElement.style.height = '36px';
-            avatarElement.style.borderRadius = '50%';
-            avatarElement.style.marginRight = '10px';
-            avatarElement.style.alignSelf = 'flex-start';
-            loadingContainer.appendChild(avatarElement);
-        } else {
-            // Add spacing to align with avatar width for consecutive messages
-            const spacerElement = document.createElement('div');
-            spacerElement.style.width = '46px'; // 36px avatar + 10px margin
-            spacerElement.style.flexShrink = '0';
-            loadingContainer.appendChild(spacerElement);
+        .chat-loading-dot {
+            animation: none;
+            opacity: 0.6;
         }
         
-        const loadingElement = document.createElement('div');
-        loadingElement.className = 'chat-loading';
-        loadingElement.style.display = 'flex';
-        loadingElement.style.padding = '12px 16px';
-        loadingElement.style.backgroundColor = '#ffffff';
-        loadingElement.style.borderRadius = '18px';
-        loadingElement.style.borderBottomLeftRadius = '4px';
-        loadingElement.style.alignItems = 'center';
-        loadingElement.style.boxShadow = '0 1px 2px rgba(0, 0, 0, 0.05)';
-        loadingElement.style.border = '1px solid rgba(0, 0, 0, 0.05)';
-        loadingElement.innerHTML = '<div style="width: 10px; height: 10px; background-color: #ccc; border-radius: 50%; margin-right: 5px; animation: pulse 1.5s infinite"></div><div style="width: 10px; height: 10px; background-color: #ccc; border-radius: 50%; margin-right: 5px; animation: pulse 1.5s infinite 0.3s"></div><div style="width: 10px; height: 10px; background-color: #ccc; border-radius: 50%; animation: pulse 1.5s infinite 0.6s"></div>';
+        .chat-carousel {
+            scroll-behavior: auto;
+        }
+    }
+    
+    /* Basic responsive adjustments for very narrow screens */
+    @media (max-width: 350px) {
+        .chat-window {
+            width: max(280px, calc(100vw - 20px));
+        }
         
-        loadingContainer.appendChild(loadingElement);
-        this.messagesContainer.appendChild(loadingContainer);
+        .chat-message {
+            font-size: 14px;
+            padding: 8px 12px;
+        }
         
-        // Prepare request payload
-        const payload = {
-            message: message,
-            sessionId: this.sessionId,
-            timestamp: new Date().toISOString(),
-            userAgent: navigator.userAgent,
-            pageUrl: window.location.href,
-            source: 'website' // Adding fixed source value as requested
-        };
+        .chat-header {
+            padding: 10px;
+        }
+    }
+`;
+
+// Rules for the floating window on small viewports, inside a media query built from fullScreenBreakpoint
+ChatBubbleWidget.fullScreenStyles = `
+    .chat-window {
+        position: fixed;
+        inset: 0;
+        z-index: 1;
+        width: auto;
+        height: auto;
+        border: none;
+        border-radius: 0;
+    }
+`;
+
+// Theme option keys and the custom properties they set
+ChatBubbleWidget.themeVariables = {
+    primaryColor: '--chat-primary',
+    onPrimaryColor: '--chat-on-primary',
+    backgroundColor: '--chat-background',
+    surfaceColor: '--chat-surface',
+    botBubbleColor: '--chat-bot-bubble',
+    botTextColor: '--chat-bot-text',
+    textColor: '--chat-text',
+    mutedColor: '--chat-muted',
+    borderColor: '--chat-border',
+    errorColor: '--chat-error',
+    fontFamily: '--chat-font-family',
+    fontSize: '--chat-font-size',
+    radius: '--chat-radius',
+    bubbleRadius: '--chat-bubble-radius',
+    launcherSize: '--chat-launcher-size',
+    windowWidth: '--chat-window-width',
+    windowHeight: '--chat-window-height',
+    offsetX: '--chat-offset-x',
+    offsetY: '--chat-offset-y',
+    zIndex: '--chat-z-index'
+};
+
+// Live widgets on the page
+ChatBubbleWidget.instances = new Set();
+
+// Built-in locale bundles; add more with ChatBubbleWidget.locales.xx = { ... }
+ChatBubbleWidget.locales = {
+    pt: {
+        headerOnline: '🟢 ONLINE: {name}',
+        headerSubtitle: 'Nós respondemos em minutos',
+        inputPlaceholder: 'Escreva sua mensagem aqui...',
+        welcome: 'Estou a sua disposição!',
+        productButton: 'Ver produto',
+        fallbackReply: 'Recebi sua mensagem. Obrigado!',
+        sendError: 'Desculpe, não foi possível enviar sua mensagem. Tente novamente.',
+        statusFailed: 'Falha no envio — toque para tentar novamente',
+        statusQueued: 'Aguardando conexão...',
+        openChat: 'Abrir chat',
+        closeChat: 'Fechar chat',
+        sendMessage: 'Enviar mensagem',
+        inputLabel: 'Mensagem',
+        messagesLabel: 'Conversa',
+        typing: '{name} está digitando...',
+        attachFile: 'Anexar arquivo',
+        removeAttachment: 'Remover {name}',
+        fileTooLarge: '{name} excede o limite de {size}',
+        fileTypeNotAllowed: '{name}: tipo de arquivo não permitido',
+        tooManyFiles: 'Envie no máximo {count} arquivos por mensagem',
+        uploading: 'Enviando anexos',
+        preChatIntro: 'Antes de começarmos, conte-nos um pouco sobre você.',
+        preChatSubmit: 'Iniciar conversa',
+        fieldName: 'Nome',
+        fieldEmail: 'E-mail',
+        fieldPhone: 'Telefone',
+        fieldRequired: 'Preencha este campo.',
+        invalidEmail: 'Informe um e-mail válido.',
+        invalidPhone: 'Informe um telefone válido.',
+        invalidField: 'Valor inválido.',
+        contactRequired: 'Preencha pelo menos um destes campos: {fields}.',
+        preChatConsent: 'Concordo com o tratamento dos meus dados pessoais para este atendimento.',
+        privacyPolicy: 'Política de privacidade',
+        consentRequired: 'É necessário aceitar para continuar.',
+        rateLimited: 'Você está enviando mensagens muito rápido. Aguarde {seconds} segundos e tente novamente.',
+        openChatUnread: 'Abrir chat ({count} novas mensagens)',
+        newMessageTitle: '({count}) Nova mensagem',
+        teaserMessage: 'Olá! 👋 Posso ajudar você?',
+        dismissTeaser: 'Dispensar mensagem',
+        headerAway: '🟡 AUSENTE: {name}',
+        headerOffline: '⚪ OFFLINE: {name}',
+        subtitleAway: 'Responderemos assim que possível',
+        subtitleOffline: 'Estamos fora do horário de atendimento',
+        offlineIntro: 'No momento não estamos online. Deixe sua mensagem e responderemos por e-mail.',
+        fieldMessage: 'Mensagem',
+        offlineSubmit: 'Enviar mensagem',
+        offlineThanks: 'Obrigado! Recebemos sua mensagem e responderemos em breve.',
+        offlineSendError: 'Não foi possível enviar sua mensagem. Tente novamente.',
+        openDiagnostics: 'Diagnóstico',
+        closeDiagnostics: 'Fechar diagnóstico',
+        diagnosticsTitle: 'Diagnóstico',
+        clearDiagnostics: 'Limpar',
+        sessionIdLabel: 'ID da sessão',
+        copy: 'Copiar',
+        copied: 'Copiado',
+        noDiagnostics: 'Nenhuma requisição ainda',
+        diagnosticsPayload: 'Payload',
+        diagnosticsResponse: 'Resposta',
+        diagnosticsError: 'Erro',
+        diagnosticsPushed: 'Evento do servidor',
+        statusSending: 'Enviando...',
+        statusSent: 'Enviada',
+        today: 'Hoje',
+        yesterday: 'Ontem',
+        copyMessage: 'Copiar mensagem',
+        feedbackUp: 'Resposta útil',
+        feedbackDown: 'Resposta não útil',
+        feedbackCommentLabel: 'O que podemos melhorar? (opcional)',
+        feedbackSubmit: 'Enviar',
+        feedbackSkip: 'Pular',
+        transcriptMenu: 'Opções da conversa',
+        downloadText: 'Baixar como texto',
+        downloadHtml: 'Baixar como HTML',
+        downloadJson: 'Baixar como JSON',
+        printTranscript: 'Imprimir',
+        emailTranscript: 'Enviar esta conversa por e-mail',
+        transcriptEmailLabel: 'Seu e-mail',
+        transcriptEmailSend: 'Enviar',
+        transcriptEmailed: 'Enviamos esta conversa para {email}.',
+        transcriptEmailError: 'Não foi possível enviar o e-mail. Tente novamente.',
+        transcriptTitle: 'Conversa com {name}',
+        transcriptYou: 'Você'
+    },
+    en: {
+        headerOnline: '🟢 ONLINE: {name}',
+        headerSubtitle: 'We reply within minutes',
+        inputPlaceholder: 'Type your message here...',
+        welcome: 'How can I help you?',
+        productButton: 'View product',
+        fallbackReply: 'I received your message. Thank you!',
+        sendError: 'Sorry, your message could not be sent. Please try again.',
+        statusFailed: 'Failed to send — tap to retry',
+        statusQueued: 'Waiting for connection...',
+        openChat: 'Open chat',
+        closeChat: 'Close chat',
+        sendMessage: 'Send message',
+        inputLabel: 'Message',
+        messagesLabel: 'Conversation',
+        typing: '{name} is typing...',
+        attachFile: 'Attach file',
+        removeAttachment: 'Remove {name}',
+        fileTooLarge: '{name} exceeds the {size} limit',
+        fileTypeNotAllowed: '{name}: file type not allowed',
+        tooManyFiles: 'You can send up to {count} files per message',
+        uploading: 'Uploading attachments',
+        preChatIntro: 'Before we start, please tell us a little about yourself.',
+        preChatSubmit: 'Start chat',
+        fieldName: 'Name',
+        fieldEmail: 'Email',
+        fieldPhone: 'Phone',
+        fieldRequired: 'Please fill in this field.',
+        invalidEmail: 'Please enter a valid email address.',
+        invalidPhone: 'Please enter a valid phone number.',
+        invalidField: 'Invalid value.',
+        contactRequired: 'Please fill in at least one of: {fields}.',
+        preChatConsent: 'I agree to the processing of my personal data for this conversation.',
+        privacyPolicy: 'Privacy policy',
+        consentRequired: 'Please accept to continue.',
+        rateLimited: 'You are sending messages a little too fast. Please wait {seconds} seconds and try again.',
+        openChatUnread: 'Open chat ({count} new messages)',
+        newMessageTitle: '({count}) New message',
+        teaserMessage: 'Hi! 👋 Can I help you?',
+        dismissTeaser: 'Dismiss message',
+        headerAway: '🟡 AWAY: {name}',
+        headerOffline: '⚪ OFFLINE: {name}',
+        subtitleAway: 'We will reply as soon as we can',
+        subtitleOffline: 'We are currently outside business hours',
+        offlineIntro: 'We are offline right now. Leave a message and we will reply by email.',
+        fieldMessage: 'Message',
+        offlineSubmit: 'Send message',
+        offlineThanks: 'Thank you! We received your message and will get back to you soon.',
+        offlineSendError: 'Your message could not be sent. Please try again.',
+        openDiagnostics: 'Diagnostics',
+        closeDiagnostics: 'Close diagnostics',
+        diagnosticsTitle: 'Diagnostics',
+        clearDiagnostics: 'Clear',
+        sessionIdLabel: 'Session ID',
+        copy: 'Copy',
+        copied: 'Copied',
+        noDiagnostics: 'No requests yet',
+        diagnosticsPayload: 'Payload',
+        diagnosticsResponse: 'Response',
+        diagnosticsError: 'Error',
+        diagnosticsPushed: 'Server event',
+        statusSending: 'Sending...',
+        statusSent: 'Sent',
+        today: 'Today',
+        yesterday: 'Yesterday',
+        copyMessage: 'Copy message',
+        feedbackUp: 'Helpful answer',
+        feedbackDown: 'Unhelpful answer',
+        feedbackCommentLabel: 'What could be better? (optional)',
+        feedbackSubmit: 'Send',
+        feedbackSkip: 'Skip',
+        transcriptMenu: 'Conversation options',
+        downloadText: 'Download as text',
+        downloadHtml: 'Download as HTML',
+        downloadJson: 'Download as JSON',
+        printTranscript: 'Print',
+        emailTranscript: 'Email me this conversation',
+        transcriptEmailLabel: 'Your email',
+        transcriptEmailSend: 'Send',
+        transcriptEmailed: 'We sent this conversation to {email}.',
+        transcriptEmailError: 'The email could not be sent. Please try again.',
+        transcriptTitle: 'Conversation with {name}',
+        transcriptYou: 'You'
+    },
+    es: {
+        headerOnline: '🟢 EN LÍNEA: {name}',
+        headerSubtitle: 'Respondemos en minutos',
+        inputPlaceholder: 'Escribe tu mensaje aquí...',
+        welcome: '¡Estoy a tu disposición!',
+        productButton: 'Ver producto',
+        fallbackReply: 'Recibí tu mensaje. ¡Gracias!',
+        sendError: 'Lo sentimos, no se pudo enviar tu mensaje. Inténtalo de nuevo.',
+        statusFailed: 'Error al enviar — toca para reintentar',
+        statusQueued: 'Esperando conexión...',
+        openChat: 'Abrir chat',
+        closeChat: 'Cerrar chat',
+        sendMessage: 'Enviar mensaje',
+        inputLabel: 'Mensaje',
+        messagesLabel: 'Conversación',
+        typing: '{name} está escribiendo...',
+        attachFile: 'Adjuntar archivo',
+        removeAttachment: 'Quitar {name}',
+        fileTooLarge: '{name} supera el límite de {size}',
+        fileTypeNotAllowed: '{name}: tipo de archivo no permitido',
+        tooManyFiles: 'Puedes enviar hasta {count} archivos por mensaje',
+        uploading: 'Subiendo archivos',
+        preChatIntro: 'Antes de empezar, cuéntanos un poco sobre ti.',
+        preChatSubmit: 'Iniciar conversación',
+        fieldName: 'Nombre',
+        fieldEmail: 'Correo electrónico',
+        fieldPhone: 'Teléfono',
+        fieldRequired: 'Completa este campo.',
+        invalidEmail: 'Introduce un correo electrónico válido.',
+        invalidPhone: 'Introduce un teléfono válido.',
+        invalidField: 'Valor no válido.',
+        contactRequired: 'Completa al menos uno de estos campos: {fields}.',
+        preChatConsent: 'Acepto el tratamiento de mis datos personales para esta conversación.',
+        privacyPolicy: 'Política de privacidad',
+        consentRequired: 'Debes aceptar para continuar.',
+        rateLimited: 'Estás enviando mensajes muy rápido. Espera {seconds} segundos e inténtalo de nuevo.',
+        openChatUnread: 'Abrir chat ({count} mensajes nuevos)',
+        newMessageTitle: '({count}) Nuevo mensaje',
+        teaserMessage: '¡Hola! 👋 ¿Puedo ayudarte?',
+        dismissTeaser: 'Descartar mensaje',
+        headerAway: '🟡 AUSENTE: {name}',
+        headerOffline: '⚪ DESCONECTADO: {name}',
+        subtitleAway: 'Responderemos lo antes posible',
+        subtitleOffline: 'Estamos fuera del horario de atención',
+        offlineIntro: 'En este momento no estamos en línea. Déjanos tu mensaje y te responderemos por correo.',
+        fieldMessage: 'Mensaje',
+        offlineSubmit: 'Enviar mensaje',
+        offlineThanks: '¡Gracias! Recibimos tu mensaje y te responderemos pronto.',
+        offlineSendError: 'No se pudo enviar tu mensaje. Inténtalo de nuevo.',
+        openDiagnostics: 'Diagnóstico',
+        closeDiagnostics: 'Cerrar diagnóstico',
+        diagnosticsTitle: 'Diagnóstico',
+        clearDiagnostics: 'Borrar',
+        sessionIdLabel: 'ID de sesión',
+        copy: 'Copiar',
+        copied: 'Copiado',
+        noDiagnostics: 'Aún no hay solicitudes',
+        diagnosticsPayload: 'Payload',
+        diagnosticsResponse: 'Respuesta',
+        diagnosticsError: 'Error',
+        diagnosticsPushed: 'Evento del servidor',
+        statusSending: 'Enviando...',
+        statusSent: 'Enviado',
+        today: 'Hoy',
+        yesterday: 'Ayer',
+        copyMessage: 'Copiar mensaje',
+        feedbackUp: 'Respuesta útil',
+        feedbackDown: 'Respuesta poco útil',
+        feedbackCommentLabel: '¿Qué podríamos mejorar? (opcional)',
+        feedbackSubmit: 'Enviar',
+        feedbackSkip: 'Omitir',
+        transcriptMenu: 'Opciones de la conversación',
+        downloadText: 'Descargar como texto',
+        downloadHtml: 'Descargar como HTML',
+        downloadJson: 'Descargar como JSON',
+        printTranscript: 'Imprimir',
+        emailTranscript: 'Enviarme esta conversación por correo',
+        transcriptEmailLabel: 'Tu correo electrónico',
+        transcriptEmailSend: 'Enviar',
+        transcriptEmailed: 'Enviamos esta conversación a {email}.',
+        transcriptEmailError: 'No se pudo enviar el correo. Inténtalo de nuevo.',
+        transcriptTitle: 'Conversación con {name}',
+        transcriptYou: 'Tú'
+    }
+};
+
+// Log levels of the debug option, from quietest to most verbose
+ChatBubbleWidget.logLevels = ['silent', 'error', 'warn', 'info', 'debug'];
+
+// Languages laid out right-to-left when direction is 'auto'
+ChatBubbleWidget.rtlLanguages = ['ar', 'he', 'fa', 'ur', 'yi'];
+
+/**
+ * Default transport: each message is POSTed to the webhook and the reply comes
+ * back in the response.
+ *
+ * A transport is created with the widget and reports pushed events through
+ * widget.handleServerEvent() and connection changes through
+ * widget.setConnectionStatus(). Custom transports implement the same methods
+ * and can be registered in ChatBubbleWidget.transports:
+ *   connect()                      Start receiving pushed events
+ *   disconnect()                   Stop receiving pushed events and release resources
+ *   send(payload, signal, upload)  Deliver one message; resolves with a fetch Response,
+ *                                  or null when the reply will be pushed later
+ */
+class ChatBubbleHttpTransport {
+    /**
+     * @param {ChatBubbleWidget} widget - The widget using this transport
+     */
+    constructor(widget) {
+        this.widget = widget;
+    }
+    
+    /**
+     * Nothing to connect: replies only arrive in the webhook response
+     */
+    connect() {}
+    
+    /**
+     * Nothing to release
+     */
+    disconnect() {}
+    
+    /**
+     * POST a message to the webhook (a single attempt, retries are up to the widget)
+     * @param {Object} payload - Request payload
+     * @param {AbortSignal} signal - Aborts the request
+     * @param {Object} [upload] - { body, headers, onProgress } from buildUpload() for messages with files
+     * @returns {Promise<Response>} The webhook response
+     */
+    async send(payload, signal, upload) {
+        if (upload) {
+            // Same credential refresh as authorizedFetch(); signed uploads are always JSON (see buildUpload())
+            const signedBody = typeof upload.body === 'string' ? upload.body : '';
+            const response = await this.sendWithProgress(upload, signal, await this.widget.getRequestHeaders(signedBody));
+            if (response.status === 401 && this.widget.canRefreshCredentials()) {
+                return this.sendWithProgress(upload, signal, await this.widget.getRequestHeaders(signedBody, true));
+            }
+            return response;
+        }
         
-        console.log('Sending message to webhook:', {
-            url: this.options.webhookUrl,
-            payload: payload
+        return this.widget.authorizedFetch(this.widget.options.webhookUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload),
+            signal: signal
         });
-        
-        try {
-            // Send message to webhook
-            const response = await fetch(this.options.webhookUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(payload)
-            });
-            
-            // Remove any loading indicators
-            this.removeLoadingIndicators();
-            
-            console.log('Webhook response status:', response.status);
-            console.log('Webhook response headers:', [...response.headers.entries()]);
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Error response body:', errorText);
-                throw new Error(`HTTP error! status: ${response.status}, body: ${errorText.substring(0, 100)}`);
-            }
+    }
+    
+    /**
+     * POST an upload with XMLHttpRequest, which (unlike fetch) reports upload progress
+     * @param {Object} upload - { body, headers, onProgress } from buildUpload()
+     * @param {AbortSignal} signal - Aborts the request
+     * @param {Object} [headers] - Request headers from getRequestHeaders()
+     * @returns {Promise<Response>} The response wrapped as a fetch Response
+     */
+    sendWithProgress(upload, signal, headers = {}) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', this.widget.options.webhookUrl);
+            const requestHeaders = { ...upload.headers, ...headers };
+            Object.keys(requestHeaders).forEach(name => xhr.setRequestHeader(name, requestHeaders[name]));
             
-            // Try to parse the response as JSON
-            let data;
-            const responseText = await response.text();
-            console.log('Raw response:', responseText);
+            xhr.upload.addEventListener('progress', (e) => {
+                if (e.lengthComputable) {
+                    upload.onProgress(e.loaded / e.total);
+                }
+            });
+            xhr.addEventListener('load', () => {
+                // Rebuild the headers so the rest of the pipeline can treat it like fetch
+                const headers = new Headers();
+                xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(line => {
+                    const separator = line.indexOf(':');
+                    if (separator > 0) {
+                        headers.append(line.substring(0, separator).trim(), line.substring(separator + 1).trim());
+                    }
+                });
+                resolve(new Response(xhr.responseText, { status: xhr.status, headers: headers }));
+            });
+            xhr.addEventListener('error', () => reject(new TypeError('Network request failed')));
+            xhr.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
             
-            // Update debug panel if it exists
-            const statusEl = document.getElementById('request-status');
-            if (statusEl) {
-                statusEl.textContent = `Success: ${response.status}, Response received`;
-                statusEl.style.color = 'green';
+            if (signal.aborted) {
+                xhr.abort();
+                return;
             }
-            
+            signal.addEventListener('abort', () => xhr.abort(), { once: true });
+            xhr.send(upload.body);
+        });
+    }
+    
+    /**
+     * Delay before a reconnection attempt: exponential backoff with jitter, so that
+     * clients do not all reconnect at once after a server restart
+     * @param {number} attempt - Number of failed attempts so far
+     * @returns {number} Delay in ms
+     */
+    getReconnectDelay(attempt) {
+        const { reconnectDelay, reconnectMaxDelay } = this.widget.options;
+        const delay = Math.min(reconnectDelay * Math.pow(2, attempt), reconnectMaxDelay);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+}
+
+/**
+ * Long-polling transport: messages are POSTed like the HTTP transport, while a
+ * GET request to pollUrl (?sessionId=&cursor=&timeout=) is kept open for pushed
+ * events. The server answers with { events: [...], cursor } (or a plain array of
+ * events) as soon as there are any, or with 204 when the timeout passes. Polls
+ * start at least reconnectDelay apart, so a server that answers at once is not
+ * flooded.
+ */
+class ChatBubbleLongPollingTransport extends ChatBubbleHttpTransport {
+    /**
+     * Start the polling loop
+     */
+    connect() {
+        if (this.controller) return;
+        
+        // The webhook answers at once, polling it would only flood it with requests
+        if (!this.widget.options.pollUrl) {
+            this.widget.log('error', 'The longpolling transport needs the pollUrl option, pushed messages are disabled');
+            return;
+        }
+        
+        this.controller = new AbortController();
+        this.cursor = null;
+        this.poll(this.controller.signal);
+    }
+    
+    /**
+     * Stop the polling loop and abort the open request
+     */
+    disconnect() {
+        if (!this.controller) return;
+        
+        this.controller.abort();
+        this.controller = null;
+        this.widget.setConnectionStatus('disconnected');
+    }
+    
+    /**
+     * Poll for events until disconnected, backing off after failures
+     * @param {AbortSignal} signal - Stops the loop
+     */
+    async poll(signal) {
+        let failures = 0;
+        this.widget.setConnectionStatus('connecting');
+        
+        while (!signal.aborted) {
+            const startedAt = Date.now();
             try {
-                data = JSON.parse(responseText);
-                console.log('Parsed response data:', data);
+                const events = await this.fetchEvents(signal);
+                failures = 0;
+                this.widget.setConnectionStatus('connected');
                 
-                // Display the entire response in console for debugging
-                console.table(data);
+                for (const event of events) {
+                    await this.widget.handleServerEvent(event);
+                }
                 
-                // Display response from webhook
-                if (data && data.response) {
-                    // Found expected response field
-                    this.addMessage(data.response, 'bot');
-                } else if (data && typeof data === 'object') {
-                    // Try to find any usable text in the response
-                    const possibleResponseFields = ['message', 'text', 'content', 'reply', 'answer', 'result'];
-                    let foundResponse = false;
-                    
-                    for (const field of possibleResponseFields) {
-                        if (data[field] && typeof data[field] === 'string') {
-                            console.log(`Found alternative response field: ${field}`);
-                            this.addMessage(data[field], 'bot');
-                            foundResponse = true;
-                            break;
-                        }
-                    }
-                    
-                    if (!foundResponse) {
-                        // If no usable field found, display the whole response
-                        console.warn('Response missing expected "response" field:', data);
-                        const responseStr = JSON.stringify(data, null, 2);
-                        this.addMessage(`Received response: ${responseStr.substring(0, 150)}${responseStr.length > 150 ? '...' : ''}`, 'bot');
-                    }
-                } else {
-                    // Fallback message
-                    console.warn('Unexpected response format:', data);
-                    this.addMessage('I received your message. Thank you!', 'bot');
+                // Keep a minimum interval between polls when the server answers quickly
+                const remaining = this.widget.options.reconnectDelay - (Date.now() - startedAt);
+                if (remaining > 0) {
+                    await this.widget.wait(remaining, signal);
                 }
-            } catch (parseError) {
-                console.error('Failed to parse response as JSON:', parseError);
-                // Display the raw response if it's not too long
-                if (responseText.length < 200) {
-                    this.addMessage(`Received non-JSON response: ${responseText}`, 'bot');
-                } else {
-                    this.addMessage(`Received non-JSON response: ${responseText.substring(0, 150)}...`, 'bot');
+            } catch (error) {
+                if (signal.aborted) return;
+                
+                this.widget.setConnectionStatus('disconnected');
+                const delay = this.getReconnectDelay(failures++);
+                this.widget.log('warn', `Polling failed (${error.message}), retrying in ${delay}ms`);
+                
+                try {
+                    await this.widget.wait(delay, signal);
+                } catch (abortError) {
+                    return;
                 }
+                this.widget.setConnectionStatus('connecting');
             }
-        } catch (error) {
-            // Remove any loading indicators
-            this.removeLoadingIndicators();
+        }
+    }
+    
+    /**
+     * Make one long-polling request
+     * @param {AbortSignal} signal - Aborts the request
+     * @returns {Promise<Array>} The pushed events (empty when the poll timed out)
+     */
+    async fetchEvents(signal) {
+        const { pollUrl, pollTimeout } = this.widget.options;
+        const url = new URL(pollUrl, window.location.href);
+        url.searchParams.set('sessionId', this.widget.sessionId);
+        url.searchParams.set('timeout', String(pollTimeout));
+        if (this.cursor !== null) {
+            url.searchParams.set('cursor', String(this.cursor));
+        }
+        
+        // Give up on a request the server holds well past the agreed timeout
+        const requestController = new AbortController();
+        const onAbort = () => requestController.abort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        const timer = setTimeout(() => requestController.abort(), pollTimeout + 10000);
+        
+        try {
+            const response = await this.widget.authorizedFetch(url.href, {
+                headers: { 'Accept': 'application/json' },
+                signal: requestController.signal
+            });
             
-            console.error('Error sending message:', error);
+            if (response.status === 204) {
+                return [];
+            }
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
             
-            // Update debug panel if it exists
-            const statusEl = document.getElementById('request-status');
-            if (statusEl) {
-                statusEl.textContent = `Error: ${error.message}`;
-                statusEl.style.color = 'red';
+            const text = await response.text();
+            const data = text ? JSON.parse(text) : null;
+            if (data && data.cursor !== undefined) {
+                this.cursor = data.cursor;
+            }
+            return Array.isArray(data) ? data : (data && Array.isArray(data.events) ? data.events : []);
+        } finally {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+}
+
+/**
+ * WebSocket transport: messages are sent as { type: 'message', ...payload } frames
+ * and the server pushes replies, agent messages and typing indicators as JSON frames
+ * (see ChatBubbleWidget#handleServerEvent). Messages with files are still uploaded
+ * over HTTP. The socket reconnects with backoff whenever it closes.
+ */
+class ChatBubbleWebSocketTransport extends ChatBubbleHttpTransport {
+    /**
+     * Open the socket
+     */
+    connect() {
+        if (this.active) return;
+        
+        this.active = true;
+        this.failures = 0;
+        this.openSocket();
+    }
+    
+    /**
+     * Close the socket and stop reconnecting
+     */
+    disconnect() {
+        if (!this.active) return;
+        
+        this.active = false;
+        clearTimeout(this.reconnectTimer);
+        
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) {
+            socket.close();
+        }
+        this.widget.setConnectionStatus('disconnected');
+    }
+    
+    /**
+     * Open a socket for the current session and reconnect when it closes
+     */
+    async openSocket() {
+        this.widget.setConnectionStatus('connecting');
+        
+        // Browsers cannot set headers on a WebSocket, so the token goes in the URL
+        let token = null;
+        if (typeof this.widget.options.getToken === 'function') {
+            try {
+                token = await this.widget.getAuthToken(this.failures > 0);
+            } catch (error) {
+                this.widget.log('warn', 'Could not get a token for the socket:', error);
+            }
+            if (!this.active) return;
+        }
+        
+        // An invalid URL or a Content Security Policy block throws right away
+        let socket;
+        try {
+            socket = new WebSocket(this.getSocketUrl(token));
+        } catch (error) {
+            this.widget.log('error', 'Could not open the socket:', error);
+            this.widget.setConnectionStatus('disconnected');
+            this.scheduleReconnect();
+            return;
+        }
+        this.socket = socket;
+        
+        socket.addEventListener('open', () => {
+            this.failures = 0;
+            this.widget.setConnectionStatus('connected');
+        });
+        
+        socket.addEventListener('message', (e) => {
+            let event;
+            try {
+                event = JSON.parse(e.data);
+            } catch (error) {
+                this.widget.log('warn', 'Ignoring non-JSON socket message:', e.data);
+                return;
             }
+            this.widget.handleServerEvent(event);
+        });
+        
+        socket.addEventListener('close', () => {
+            // Closed by disconnect() or replaced by a newer socket
+            if (this.socket !== socket) return;
             
-            this.addMessage(`Sorry, there was an error sending your message: ${error.message}. Please check the console for more details.`, 'bot');
+            this.socket = null;
+            this.widget.setConnectionStatus('disconnected');
+            this.scheduleReconnect();
+        });
+    }
+    
+    /**
+     * Open a new socket after the backoff delay of the failures so far
+     */
+    scheduleReconnect() {
+        const delay = this.getReconnectDelay(this.failures++);
+        this.widget.log('warn', `Reconnecting the socket in ${delay}ms`);
+        this.reconnectTimer = setTimeout(() => this.openSocket(), delay);
+    }
+    
+    /**
+     * Send a message over the socket; the reply is pushed back later
+     * @param {Object} payload - Request payload
+     * @param {AbortSignal} signal - Aborts a file upload
+     * @param {Object} [upload] - Messages with files are uploaded over HTTP
+     * @returns {Promise<Response|null>} null, or the upload response
+     */
+    async send(payload, signal, upload) {
+        if (upload) {
+            return super.send(payload, signal, upload);
+        }
+        
+        // Fails the attempt so the widget retries once the socket is back
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            throw new Error('WebSocket is not connected');
+        }
+        
+        this.socket.send(JSON.stringify({ type: 'message', ...payload }));
+        return null;
+    }
+    
+    /**
+     * Build the socket URL: socketUrl, or webhookUrl with a ws(s):// scheme, plus the session ID and token
+     * @param {string|null} [token] - Token from getToken
+     * @returns {string}
+     */
+    getSocketUrl(token = null) {
+        const { socketUrl, webhookUrl } = this.widget.options;
+        const url = new URL(socketUrl || webhookUrl, window.location.href);
+        if (url.protocol === 'http:' || url.protocol === 'https:') {
+            url.protocol = url.protocol === 'http:' ? 'ws:' : 'wss:';
         }
+        url.searchParams.set('sessionId', this.widget.sessionId);
+        if (token) {
+            url.searchParams.set('token', token);
+        }
+        return url.href;
     }
 }
 
-// Add CSS animation for loading indicator and basic responsive styles
-const style = document.createElement('style');
-style.textContent = `
-    @keyframes pulse {
-        0% { opacity: 0.3; }
-        50% { opacity: 1; }
-        100% { opacity: 0.3; }
+// Default fields of the pre-chat form (preChatForm: true)
+ChatBubbleWidget.leadFields = [
+    { name: 'name', type: 'text', required: true, autocomplete: 'name' },
+    { name: 'email', type: 'email', required: false, autocomplete: 'email' },
+    { name: 'phone', type: 'tel', required: false, autocomplete: 'tel' }
+];
+
+// Fields of the contact form shown while offline
+ChatBubbleWidget.offlineFields = [
+    { name: 'name', type: 'text', required: true, autocomplete: 'name' },
+    { name: 'email', type: 'email', required: true, autocomplete: 'email' },
+    { name: 'message', type: 'textarea', required: true }
+];
+
+// Response adapter presets, selected by name through the responseAdapter option
+ChatBubbleWidget.responseAdapters = {
+    // { response }, { messages } or a top-level array of blocks, and a few common text fields
+    default: {
+        messages: ['$.messages', '$[*]'],
+        text: ['$.response', '$.message', '$.text', '$.content', '$.reply', '$.answer', '$.result'],
+        quickReplies: '$.quickReplies'
+    },
+    // "Respond to Webhook" items, e.g. [{ output }] from an AI Agent node
+    n8n: {
+        messages: '$.messages',
+        text: ['$[*].output', '$.output', '$[*].response', '$.response', '$[*].text', '$.text', '$[*].message', '$.message'],
+        quickReplies: ['$.quickReplies', '$[0].quickReplies'],
+        stream: '$.content'
+    },
+    // Dialogflow ES (fulfillmentMessages) and CX (responseMessages)
+    dialogflow: {
+        text: [
+            '$.queryResult.fulfillmentMessages[*].text.text',
+            '$.queryResult.responseMessages[*].text.text',
+            '$.queryResult.fulfillmentText',
+            '$.fulfillmentText'
+        ],
+        quickReplies: '$.queryResult.fulfillmentMessages[*].quickReplies.quickReplies'
+    },
+    // Chat Completions and Responses APIs
+    openai: {
+        text: ['$.choices[0].message.content', '$.output_text', '$.output[*].content[*].text'],
+        stream: ['$.choices[0].delta.content', '$.delta']
+    },
+    // Converse API: { responses: [{ type: 'text', text }, { type: 'single-choice', text, choices }] }
+    botpress: {
+        text: '$.responses[*].text',
+        quickReplies: '$.responses[*].choices'
+    }
+};
+
+// Built-in transports, selected by name through the transport option
+ChatBubbleWidget.transports = {
+    http: ChatBubbleHttpTransport,
+    longpolling: ChatBubbleLongPollingTransport,
+    websocket: ChatBubbleWebSocketTransport
+};
+
+// Widget of the global ChatBubble() API, the promise of its install and the calls waiting for it
+ChatBubbleWidget.installed = null;
+ChatBubbleWidget.installing = null;
+ChatBubbleWidget.pendingCommands = [];
+
+/**
+ * Create the widget once the page has a body, so the file can be loaded in <head>;
+ * installing again returns the widget that already exists
+ * @param {Object} [options] - Widget options
+ * @returns {Promise<ChatBubbleWidget|null>} null when the widget could not be created
+ */
+ChatBubbleWidget.install = function (options = {}) {
+    if (ChatBubbleWidget.installing) {
+        if (ChatBubbleWidget.installed) {
+            ChatBubbleWidget.installed.log('warn', 'The chat widget is already installed, ignoring the new options');
+        }
+        return ChatBubbleWidget.installing;
     }
     
-    /* Basic responsive adjustments for very narrow screens */
-    @media (max-width: 350px) {
-        .chat-message {
-            font-size: 14px !important;
-            padding: 8px 12px !important;
+    const bodyReady = document.body
+        ? Promise.resolve()
+        : new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+    
+    ChatBubbleWidget.installing = bodyReady.then(() => {
+        const widget = new ChatBubbleWidget(options);
+        ChatBubbleWidget.installed = widget;
+        
+        // Run the API calls made before the widget existed
+        ChatBubbleWidget.pendingCommands.splice(0).forEach(args => ChatBubbleWidget.command(...args));
+        return widget;
+    }).catch(error => {
+        // There is no widget to log through; the waiting calls are kept for a new install
+        (options.logger || console).error('[ChatBubble] Could not install the chat widget:', error);
+        ChatBubbleWidget.installing = null;
+        return null;
+    });
+    return ChatBubbleWidget.installing;
+};
+
+/**
+ * The global ChatBubble() function: ChatBubble('init', options) installs the widget, other calls
+ * such as ChatBubble('open') or ChatBubble('on', 'messageSent', handler) run the widget's method
+ * and wait until it is installed
+ * @param {string} name - 'init' or the name of a widget method
+ * @param {...*} args - Arguments of the call
+ * @returns {*} The method's result, or undefined while the call is waiting
+ */
+ChatBubbleWidget.command = function (name, ...args) {
+    if (name === 'init') {
+        return ChatBubbleWidget.install(args[0]);
+    }
+    
+    const widget = ChatBubbleWidget.installed;
+    if (!widget) {
+        ChatBubbleWidget.pendingCommands.push([name, ...args]);
+        return undefined;
+    }
+    if (typeof widget[name] !== 'function') {
+        widget.log('warn', `Unknown chat command: ${name}`);
+        return undefined;
+    }
+    return widget[name](...args);
+};
+
+/**
+ * Options from the data-* attributes of a script tag (data-webhook-url becomes webhookUrl)
+ * Attributes that are not options (e.g. data-cfasync of a tag manager) are ignored. Values are
+ * read by the type of the option's default: strings stay as written, numbers and booleans are
+ * parsed (an empty attribute means true) and objects or arrays are given as JSON.
+ * data-auto-init="false" is kept as autoInit.
+ * @param {HTMLScriptElement|null} script - The script tag that loaded this file
+ * @returns {Object}
+ */
+ChatBubbleWidget.readScriptOptions = function (script) {
+    const options = {};
+    if (!script || !script.dataset) {
+        return options;
+    }
+    
+    const defaults = ChatBubbleWidget.prototype.getDefaultOptions();
+    Object.keys(script.dataset).forEach(key => {
+        const value = script.dataset[key].trim();
+        if (key === 'autoInit') {
+            options.autoInit = value !== 'false';
+            return;
+        }
+        if (!(key in defaults)) {
+            return;
         }
         
-        .chat-header {
-            padding: 10px !important;
+        const fallback = defaults[key];
+        if (typeof fallback === 'string') {
+            options[key] = value;
+            return;
+        }
+        if (value === '' && typeof fallback === 'boolean') {
+            options[key] = true;
+            return;
+        }
+        
+        // Options without a default or with an object default only take JSON objects and arrays
+        const json = fallback === null || typeof fallback === 'object'
+            ? /^[[{]/
+            : /^([[{"]|true$|false$|null$|-?\d+(\.\d+)?$)/;
+        try {
+            options[key] = json.test(value) ? JSON.parse(value) : value;
+        } catch (e) {
+            options[key] = value;
         }
+    });
+    return options;
+};
+
+/**
+ * Install the widget from window.ChatBubbleConfig or from a script tag with data-webhook-url
+ * (or data-auto-init), and take over the loader snippet's queue; data-auto-init="false" or
+ * autoInit: false opts out
+ * @param {HTMLScriptElement|null} script - The script tag that loaded this file
+ */
+ChatBubbleWidget.autoInstall = function (script) {
+    const scriptOptions = ChatBubbleWidget.readScriptOptions(script);
+    const config = window.ChatBubbleConfig;
+    const stub = window.ChatBubble;
+    const queue = typeof stub === 'function' && stub.q ? Array.from(stub.q) : [];
+    
+    window.ChatBubble = ChatBubbleWidget.command;
+    
+    const { autoInit, ...options } = { ...config, ...scriptOptions };
+    const requested = autoInit === true || !!config || 'webhookUrl' in scriptOptions;
+    if (autoInit !== false && requested) {
+        ChatBubbleWidget.install(options);
     }
-`;
-document.head.appendChild(style);
+    queue.forEach(args => ChatBubbleWidget.command(...args));
+};
 
 // Export the widget for use
 if (typeof window !== 'undefined') {
     window.ChatBubbleWidget = ChatBubbleWidget;
+    
+    // The script tag is only known while this file runs
+    ChatBubbleWidget.autoInstall(document.currentScript);
 }
+})();